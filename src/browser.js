@@ -1,5 +1,8 @@
 // https://github.com/heineiuo/isomorphic-ws/blob/master/browser.js
 
+import { detectCompression } from './utils/detectCompression.mjs'
+import { DecompressError } from './errors.mjs'
+
 let ws = null
 
 if (typeof WebSocket !== 'undefined') {
@@ -14,4 +17,48 @@ if (typeof WebSocket !== 'undefined') {
   ws = self.WebSocket || self.MozWebSocket
 }
 
-export default ws
\ No newline at end of file
+export default ws
+/**
+ * Decompresses binary data with `DecompressionStream`. This is the web browser implementation; node.js uses zlib (see `utils/decompress.mjs`).
+ *
+ * @param {Blob|ArrayBuffer|ArrayBufferView} data - The compressed data.
+ * @param {object} [options]
+ * @param {'gzip'|'deflate'|'deflate-raw'} [options.format] - The compression format. If omitted, it is detected from the data.
+ * @param {number} [options.maxSize=Infinity] - The maximum size in bytes of the decompressed data.
+ * @returns {Promise<Uint8Array>} - The decompressed data.
+ * @throws {DecompressError} The promise rejects with code `'TOO_LARGE'` if the decompressed data exceeds `maxSize`, or `'FAILED'`.
+ */
+export async function decompress(data, { format, maxSize = Infinity } = {}) {
+  const bytes = data instanceof Blob
+    ? new Uint8Array(await data.arrayBuffer())
+    : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data)
+  const chunks = []
+  let size = 0
+  try {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format ?? detectCompression(bytes))).getReader()
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+      size += result.value.byteLength
+      if (size > maxSize) {
+        await reader.cancel()
+        throw new DecompressError(`Decompressed message exceeds ${maxSize} bytes`, 'TOO_LARGE')
+      }
+
+      chunks.push(result.value)
+    }
+  } catch (error) {
+    if (error instanceof DecompressError) {
+      throw error
+    }
+
+    throw new DecompressError(`Message could not be decompressed: ${error.message}`, 'FAILED', { cause: error })
+  }
+
+  const decompressed = new Uint8Array(size)
+  let offset = 0
+  for (const chunk of chunks) {
+    decompressed.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+
+  return decompressed
+}
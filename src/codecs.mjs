@@ -0,0 +1,49 @@
+import { isBinary } from './utils/isBinary.mjs'
+
+/*
+  Decode binary data as UTF-8 text
+ */
+function toText(data) {
+  if (typeof data === 'string') {
+    return data
+  }
+
+  if (typeof Blob === 'function' && data instanceof Blob) {
+    throw new TypeError(`Blob data cannot be decoded synchronously, set 'binaryType' to 'arraybuffer'`)
+  }
+
+  return new TextDecoder().decode(data)
+}
+
+/**
+ * Built-in codecs for `options.codec`. A codec encodes the data passed to `send()` and decodes incoming messages, emitted as event `data`.
+ *
+ * - `json` - Encodes any value with `JSON.stringify()` and decodes messages with `JSON.parse()`. Binary data is sent as is.
+ * - `text` - Encodes values as strings and decodes messages as UTF-8 text. Binary data is sent as is.
+ * - `ndjson` - Newline-delimited JSON: encodes an array as one JSON text per line (any other value as one line), and decodes a message into the array of its lines, parsed.
+ * - `binary` - Encodes strings as UTF-8 bytes, and decodes text messages into UTF-8 bytes. Binary data is sent and received as is.
+ *
+ * A custom codec is an object with methods `encode(value)` and `decode(data, isBinary)`.
+ *
+ * @example
+ * const ws = new ForeverWebSocket('wss://example.com', { codec: 'json' });
+ * ws.on('data', (value) => console.log(value.price));
+ */
+export const codecs = Object.freeze({
+  json: Object.freeze({
+    encode: (value) => isBinary(value) ? value : JSON.stringify(value),
+    decode: (data) => JSON.parse(toText(data)),
+  }),
+  text: Object.freeze({
+    encode: (value) => isBinary(value) ? value : String(value),
+    decode: (data) => toText(data),
+  }),
+  ndjson: Object.freeze({
+    encode: (value) => (Array.isArray(value) ? value : [value]).map((item) => JSON.stringify(item)).join('\n'),
+    decode: (data) => toText(data).split('\n').filter((line) => line.trim() !== '').map((line) => JSON.parse(line)),
+  }),
+  binary: Object.freeze({
+    encode: (value) => typeof value === 'string' ? new TextEncoder().encode(value) : value,
+    decode: (data) => typeof data === 'string' ? new TextEncoder().encode(data) : data,
+  }),
+})
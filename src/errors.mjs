@@ -0,0 +1,119 @@
+/**
+ * Base class for errors raised by ForeverWebSocket.
+ *
+ * Each error carries a `code` string which identifies the failure and can be used instead of matching on `message`.
+ *
+ * @example
+ *
+ * try {
+ *   await ws.connect()
+ * } catch (error) {
+ *   if (error instanceof ForeverWebSocketError) {
+ *     console.log(error.code)
+ *   }
+ * }
+ */
+export class ForeverWebSocketError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the error.
+   * @param {string} code - Machine-readable error code.
+   * @param {object} [details] - Optional. Additional properties assigned to the error, e.g. `cause`.
+   */
+  constructor(message, code, details = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    Object.assign(this, details)
+  }
+}
+
+/**
+ * Error used to reject `connect()` when the connection could not be opened.
+ *
+ * Codes:
+ * - `'CREATE_FAILED'` - The WebSocket object could not be created. The original error is in `cause`.
+ * - `'HANDSHAKE_FAILED'` - The WebSocket emitted `error` before it was open. The original error is in `cause`.
+ * - `'CLOSED_BEFORE_OPEN'` - The WebSocket closed before it was open. Close `closeCode` and `reason` are included.
+ * - `'CONNECT_TIMEOUT'` - The connection was not open within `options.connectTimeout` milliseconds.
+ * - `'UNEXPECTED_RESPONSE'` - The server answered the opening handshake with an HTTP status other than `101`. The status is in `statusCode`
+ *   and the response headers in `headers`. Emitted as event `error` of the WebSocket (node.js only), and found in `cause` of `'HANDSHAKE_FAILED'`.
+ *
+ * It is also used to reject `rotate()`, with the codes above or:
+ * - `'ROTATION_ABORTED'` - The current connection was closed or replaced before the new connection was ready.
+ */
+export class ConnectError extends ForeverWebSocketError {}
+
+/**
+ * Error emitted as `error`, and used to reject `connect()`, when the `handshake` hook does not complete.
+ *
+ * Codes:
+ * - `'REJECTED'` - The hook threw or its promise rejected. The original error is in `cause`.
+ * - `'TIMEOUT'` - The hook did not complete within `options.handshakeTimeout` milliseconds.
+ * - `'CLOSED'` - The connection closed before the hook completed.
+ */
+export class HandshakeError extends ForeverWebSocketError {}
+
+/**
+ * Error used to reject promises returned by `request()`.
+ *
+ * Codes:
+ * - `'TIMEOUT'` - No response was received within the request timeout.
+ * - `'ABORTED'` - The request was aborted through its `signal`. The abort reason is in `cause`.
+ * - `'CONNECTION_CLOSED'` - The connection closed before a response was received.
+ * - `'REFRESHED'` - `refresh()` was called before a response was received.
+ * - `'SEND_FAILED'` - The request could not be sent. The original error is in `cause`.
+ *
+ * The id of the request is in `requestId`.
+ */
+export class RequestError extends ForeverWebSocketError {}
+
+/**
+ * Error thrown by the iterator returned by `messages()`, and by the stream returned by `readableStream()`.
+ *
+ * Codes:
+ * - `'OVERFLOW'` - More messages were received than the `maxLength` buffered messages, with option `overflow` set to `'throw'`.
+ */
+export class MessagesError extends ForeverWebSocketError {}
+
+/**
+ * Error used to reject the promise returned by `send()` when the data cannot be buffered by `options.queue`.
+ *
+ * Codes:
+ * - `'OVERFLOW'` - The queue is full, with option `overflow` set to `'throw'`. The data is in `data`.
+ * - `'CLOSED'` - The connection was closed by `close()` or `terminate()`, or reconnecting gave up, so the data would never be sent. The data is in `data`.
+ */
+export class QueueError extends ForeverWebSocketError {}
+
+/**
+ * Error used to fail writes to the stream returned by `createForeverWebSocketStream()` (node.js).
+ *
+ * Codes:
+ * - `'CONNECTION_CLOSED'` - The connection was closed by `close()` or `terminate()`, or reconnecting gave up, before the data could be sent.
+ * - `'DESTROYED'` - The stream was destroyed before the data could be sent.
+ */
+export class StreamError extends ForeverWebSocketError {}
+
+/**
+ * Error emitted as `decodeError` when an incoming binary message cannot be decompressed (see `options.decompress`).
+ *
+ * Codes:
+ * - `'TOO_LARGE'` - The decompressed message would exceed `options.decompress.maxSize` bytes.
+ * - `'FAILED'` - The message is not valid compressed data. The original error is in `cause`.
+ */
+export class DecompressError extends ForeverWebSocketError {}
+
+/**
+ * Error thrown by `send()` when the data is invalid according to `options.validate.outbound`.
+ *
+ * Codes:
+ * - `'INVALID_MESSAGE'` - The validator rejected the data. The validation errors are in `errors`, and the data in `data`.
+ */
+export class ValidationError extends ForeverWebSocketError {}
+
+/**
+ * Error returned by a JSON-RPC 2.0 server in the `error` member of a response.
+ *
+ * Unlike the other errors, `code` is the numeric JSON-RPC error code, e.g. `-32601` (method not found).
+ * The optional `data` member of the error object is in `data`, and the id of the request is in `requestId`.
+ */
+export class JsonRpcError extends ForeverWebSocketError {}
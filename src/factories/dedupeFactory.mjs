@@ -0,0 +1,94 @@
+/**
+ * Creates a factory function to de-duplicate the messages of a feed received over several redundant connections ("legs").
+ * A message is accepted the first time it is received, whichever leg delivers it, and rejected when the other legs deliver it again.
+ *
+ * Messages are identified either by a sequence number, which must increase along the feed, or by a key. Keys may repeat:
+ * the n-th occurrence of a key is accepted from the first leg which delivers it n times. Only the `windowSize` most recent keys are remembered.
+ *
+ * @param {Object} options - Configuration options for the dedupe factory.
+ * @param {number} [options.windowSize=10000] - The maximum number of keys remembered.
+ * @returns {Object} An object with methods to check messages and reset the state.
+ *
+ * @example
+ * const dedupeManager = createDedupeFactory({ windowSize: 1000 });
+ *
+ * dedupeManager.accept(0, { key: 'trade:1' }); // true
+ * dedupeManager.accept(1, { key: 'trade:1' }); // false, already delivered by leg 0
+ * dedupeManager.accept(1, { sequence: 42 }); // true
+ * dedupeManager.accept(0, { sequence: 42 }); // false
+ */
+export function createDedupeFactory({ windowSize = 10000 } = {}) {
+  let _windowSize = windowSize
+  // maps each key to the number of times it was received from each leg
+  let counts = new Map()
+  let lastSequence
+
+  /**
+   * Checks whether a message is received for the first time, and records it.
+   * @public
+   * @param {number} legIndex - The index of the leg which received the message.
+   * @param {Object} message
+   * @param {*} [message.key] - The key identifying the message.
+   * @param {number} [message.sequence] - The sequence number of the message. If defined, `key` is ignored.
+   * @returns {boolean} True if the message should be delivered, false if it is a duplicate.
+   */
+  function accept(legIndex, { key, sequence }) {
+    if (sequence !== undefined) {
+      if (lastSequence !== undefined && sequence <= lastSequence) {
+        return false
+      }
+
+      lastSequence = sequence
+      return true
+    }
+
+    const legCounts = counts.get(key) ?? []
+    // Move the key to the end, so that the least recently received keys are forgotten first
+    counts.delete(key)
+    counts.set(key, legCounts)
+    if (counts.size > _windowSize) {
+      counts.delete(counts.keys().next().value)
+    }
+
+    const delivered = Math.max(0, ...legCounts.filter((count) => count !== undefined))
+    legCounts[legIndex] = (legCounts[legIndex] ?? 0) + 1
+    return legCounts[legIndex] > delivered
+  }
+
+  /**
+   * Forgets all messages received.
+   * @public
+   */
+  function reset() {
+    counts = new Map()
+    lastSequence = undefined
+  }
+
+  /**
+   * Returns the number of keys remembered.
+   * @public
+   * @returns {number}
+   */
+  function getSize() {
+    return counts.size
+  }
+
+  /**
+   * Update operations parameters.
+   * @public
+   */
+  function update({ windowSize = _windowSize } = {}) {
+    _windowSize = windowSize
+    while (counts.size > _windowSize) {
+      counts.delete(counts.keys().next().value)
+    }
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    accept,
+    reset,
+    update,
+    size: getSize,
+  })
+}
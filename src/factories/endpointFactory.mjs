@@ -0,0 +1,168 @@
+/**
+ * Creates a factory function to manage the choice of the endpoint URL used by each connection attempt.
+ * The factory keeps track of which attempts failed and switches endpoints according to a failover policy.
+ *
+ * @param {Object} options - Configuration options for the endpoint factory.
+ * @param {string|string[]|Function} options.address - The URL to connect to, a list of equivalent URLs, or a function returning
+ *   the URL (or a promise of it) for each connection attempt. When a function is used, the policy is not applied.
+ * @param {'sticky'|'roundRobin'|'priority'} [options.policy='sticky'] - The failover policy:
+ *   - `'sticky'` - keep using the same URL until a connection attempt to it fails, then move to the next one.
+ *   - `'roundRobin'` - move to the next URL on every connection attempt.
+ *   - `'priority'` - like `'sticky'`, but return to the first (primary) URL once `recoveryInterval` has elapsed since it was left.
+ *     `recoveryDelay()` tells when to return to it while connected to another URL.
+ * @param {number} [options.recoveryInterval=60000] - The time in milliseconds after which the `'priority'` policy tries the primary URL again.
+ * @returns {Object} An object with methods to choose the endpoint and report connection results.
+ *
+ * @example
+ * const endpointManager = createEndpointFactory({
+ *   address: ['wss://a.example.com', 'wss://b.example.com'],
+ *   policy: 'priority',
+ *   recoveryInterval: 300000,
+ * });
+ *
+ * const address = await endpointManager.next();
+ * // when the connection is open
+ * endpointManager.markOpen();
+ */
+export function createEndpointFactory({ address, policy = 'sticky', recoveryInterval = 60000 } = {}) {
+  let _address = address
+  let _policy = policy
+  let _recoveryInterval = recoveryInterval
+  let index = 0
+  let current
+  let hasAttempted = false
+  let isOpened = false
+  let leftPrimaryMts
+  // the state before the last call of `next()`, restored by `markAbandoned()`
+  let previous
+
+  /**
+   * Moves the index to the URL which should be used by the next connection attempt.
+   * @private
+   */
+  function advance(addresses) {
+    const previousIndex = index
+    if (_policy === 'roundRobin' || !isOpened) {
+      index = (index + 1) % addresses.length
+    }
+
+    if (_policy === 'priority') {
+      if (index > 0 && leftPrimaryMts !== undefined && Date.now() - leftPrimaryMts >= _recoveryInterval) {
+        index = 0
+      }
+
+      if (index === 0) {
+        leftPrimaryMts = undefined
+      } else if (previousIndex === 0) {
+        leftPrimaryMts = Date.now()
+      }
+    }
+  }
+
+  /**
+   * Returns the URL to be used by the next connection attempt. The result is a promise only if `address` is a function returning a promise.
+   * @public
+   * @returns {string|Promise<string>}
+   */
+  function next() {
+    previous = { index, current, isOpened, leftPrimaryMts }
+    if (typeof _address === 'function') {
+      const result = _address()
+      if (typeof result?.then === 'function') {
+        return result.then((resolved) => {
+          current = resolved
+          return resolved
+        })
+      }
+
+      current = result
+      return result
+    }
+
+    const addresses = Array.isArray(_address) ? _address : [_address]
+    if (hasAttempted) {
+      advance(addresses)
+    }
+
+    hasAttempted = true
+    isOpened = false
+    current = addresses[index % addresses.length]
+    return current
+  }
+
+  /**
+   * Records that the connection to the current URL was opened.
+   * @public
+   */
+  function markOpen() {
+    isOpened = true
+  }
+
+  /**
+   * Records that the last connection attempt was abandoned while the connection to the previous URL is still in use, e.g. a failed rotation.
+   * If the attempt was a return to the primary URL, the `'priority'` policy tries it again once `recoveryInterval` has elapsed from now.
+   * @public
+   */
+  function markAbandoned() {
+    if (!previous) {
+      return
+    }
+
+    const isRecovery = previous.index > 0 && index === 0
+    index = previous.index
+    current = previous.current
+    isOpened = previous.isOpened
+    leftPrimaryMts = isRecovery ? Date.now() : previous.leftPrimaryMts
+
+    previous = undefined
+  }
+
+  /**
+   * Returns the time in milliseconds after which the `'priority'` policy returns to the primary URL, while connected to another URL.
+   * @public
+   * @returns {number|undefined} The delay, or `undefined` if the policy is not `'priority'` or the current URL is the primary one.
+   */
+  function getRecoveryDelay() {
+    if (_policy !== 'priority' || typeof _address === 'function' || index === 0 || leftPrimaryMts === undefined) {
+      return undefined
+    }
+
+    return Math.max(0, leftPrimaryMts + _recoveryInterval - Date.now())
+  }
+
+  /**
+   * Returns the URL used by the last connection attempt.
+   * @public
+   * @returns {string|undefined}
+   */
+  function getCurrent() {
+    return current
+  }
+
+  /**
+   * Update operations parameters.
+   * @public
+   */
+  function update({ address = _address, policy = _policy, recoveryInterval = _recoveryInterval } = {}) {
+    if (address !== _address) {
+      index = 0
+      hasAttempted = false
+      leftPrimaryMts = undefined
+      previous = undefined
+    }
+
+    _address = address
+    _policy = policy
+    _recoveryInterval = recoveryInterval
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    next,
+    markOpen,
+    markAbandoned,
+    update,
+    current: getCurrent,
+    recoveryDelay: getRecoveryDelay,
+  })
+}
@@ -0,0 +1,97 @@
+/**
+ * Creates a factory function to process incoming messages one at a time, in the order they are received.
+ * A message is processed as soon as it is received, unless the processing of a previous message is still pending:
+ * when `callbackProcess` returns a promise, following messages are buffered until it settles.
+ *
+ * @param {Function} callbackProcess - Callback to execute for each message. It may return a promise to hold back the following messages.
+ * @param {Function} callbackError - Callback to execute with the error when `callbackProcess` throws or its promise rejects.
+ * @returns {Object} An object with methods to add messages and inspect the buffer.
+ *
+ * @example
+ * const inboundManager = createInboundFactory(async (message) => {
+ *   await saveToDatabase(message);
+ * }, (error) => {
+ *   console.log('Failed to process message', error);
+ * });
+ *
+ * inboundManager.push(message);
+ */
+export function createInboundFactory(callbackProcess, callbackError) {
+  let buffer = []
+  let isPending = false
+
+  /**
+   * Processes a message and, if processing is asynchronous, holds back the following messages until it settles.
+   * @private
+   */
+  function process(message) {
+    let result
+    try {
+      result = callbackProcess(message)
+    } catch (error) {
+      callbackError(error)
+      return
+    }
+
+    if (typeof result?.then !== 'function') {
+      return
+    }
+
+    isPending = true
+    result
+      .catch((error) => callbackError(error))
+      .finally(() => {
+        isPending = false
+        drain()
+      })
+  }
+
+  /**
+   * Processes buffered messages until one of them is processed asynchronously.
+   * @private
+   */
+  function drain() {
+    while (!isPending && buffer.length > 0) {
+      process(buffer.shift())
+    }
+  }
+
+  /**
+   * Adds a message, which is processed now unless previous messages are still being processed.
+   * @public
+   * @param {*} message - The message.
+   */
+  function push(message) {
+    if (isPending) {
+      buffer.push(message)
+      return
+    }
+
+    process(message)
+  }
+
+  /**
+   * Returns the number of messages waiting to be processed.
+   * @public
+   * @returns {number}
+   */
+  function getLength() {
+    return buffer.length
+  }
+
+  /**
+   * Checks if the processing of a message is pending.
+   * @public
+   * @returns {boolean}
+   */
+  function getIsPending() {
+    return isPending
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    push,
+    length: getLength,
+    isPending: getIsPending,
+  })
+}
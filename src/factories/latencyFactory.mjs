@@ -0,0 +1,131 @@
+/**
+ * Creates a factory function to measure round-trip latency from pings and their pongs. Pongs are matched to the
+ * oldest unanswered ping, and statistics are calculated over the most recent samples. The send times of at most `windowSize`
+ * unanswered pings are kept: older unanswered pings are only counted, and a pong answering one of them gives no sample.
+ *
+ * @param {Object} options - Configuration options for the latency factory.
+ * @param {number} [options.windowSize=100] - The number of most recent samples used to calculate the statistics.
+ * @param {Function} callbackSample - Callback to execute with the round-trip time in milliseconds of each pong.
+ * @returns {Object} An object with methods to record pings and pongs and to read the statistics.
+ *
+ * @example
+ * const latencyManager = createLatencyFactory({ windowSize: 50 }, (rtt) => {
+ *   console.log(`Round-trip time: ${rtt}ms`);
+ * });
+ *
+ * latencyManager.pingSent();
+ * // when the pong is received
+ * latencyManager.pongReceived();
+ * console.log(latencyManager.stats()); // { last, min, avg, p95, samples }
+ */
+export function createLatencyFactory({ windowSize = 100 } = {}, callbackSample) {
+  let _windowSize = windowSize
+  let samples = []
+  let pendingPingsMts = []
+  // unanswered pings whose send time was forgotten, to keep `pendingPingsMts` within the window size
+  let droppedPings = 0
+
+  /**
+   * Forgets the send times of the oldest unanswered pings beyond the window size, while still counting them.
+   * @private
+   */
+  function trimPendingPings() {
+    const excess = pendingPingsMts.length - _windowSize
+    if (excess > 0) {
+      pendingPingsMts = pendingPingsMts.slice(excess)
+      droppedPings += excess
+    }
+  }
+
+  /**
+   * Records that a ping was sent.
+   * @public
+   */
+  function pingSent() {
+    pendingPingsMts.push(Date.now())
+    trimPendingPings()
+  }
+
+  /**
+   * Records that a pong was received, answering the oldest unanswered ping.
+   * @public
+   * @returns {number|undefined} The round-trip time in milliseconds, or undefined if no ping was waiting for a pong.
+   */
+  function pongReceived() {
+    if (droppedPings > 0) {
+      droppedPings--
+      return undefined
+    }
+
+    if (pendingPingsMts.length === 0) {
+      return undefined
+    }
+
+    const rtt = Date.now() - pendingPingsMts.shift()
+    samples.push(rtt)
+    if (samples.length > _windowSize) {
+      samples.shift()
+    }
+
+    callbackSample(rtt)
+    return rtt
+  }
+
+  /**
+   * Returns the number of pings which have not been answered by a pong.
+   * @public
+   * @returns {number}
+   */
+  function getPendingPings() {
+    return droppedPings + pendingPingsMts.length
+  }
+
+  /**
+   * Forgets unanswered pings, e.g. when the connection is replaced. Samples are kept.
+   * @public
+   */
+  function reset() {
+    pendingPingsMts = []
+    droppedPings = 0
+  }
+
+  /**
+   * Returns latency statistics over the most recent samples.
+   * @public
+   * @returns {{last: number|undefined, min: number|undefined, avg: number|undefined, p95: number|undefined, samples: number}}
+   */
+  function getStats() {
+    if (samples.length === 0) {
+      return { last: undefined, min: undefined, avg: undefined, p95: undefined, samples: 0 }
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b)
+    return {
+      last: samples[samples.length - 1],
+      min: sorted[0],
+      avg: samples.reduce((sum, sample) => sum + sample, 0) / samples.length,
+      p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+      samples: samples.length,
+    }
+  }
+
+  /**
+   * Update operations parameters.
+   * @public
+   */
+  function update({ windowSize = _windowSize } = {}) {
+    _windowSize = windowSize
+    samples = samples.slice(-_windowSize)
+    trimPendingPings()
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    pingSent,
+    pongReceived,
+    reset,
+    update,
+    pendingPings: getPendingPings,
+    stats: getStats,
+  })
+}
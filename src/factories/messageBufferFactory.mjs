@@ -0,0 +1,148 @@
+/**
+ * Creates a factory function to buffer incoming messages for a consumer pulling them one at a time, e.g. an async iterator.
+ * Messages are handed out in the order they were added. Once the buffer is ended, the remaining messages are handed out, then the end.
+ *
+ * @param {Object} options - Configuration options for the message buffer factory.
+ * @param {number} [options.maxLength=Infinity] - The maximum number of messages kept in the buffer.
+ * @param {'dropOldest'|'dropNewest'|'throw'} [options.overflow='dropOldest'] - What to do when adding a message would exceed `maxLength`:
+ *   drop the oldest buffered message, drop the new message, or end the buffer with an error.
+ * @param {Function} callbackOverflow - Callback to execute when the overflow policy is `'throw'` and `maxLength` would be exceeded. It returns the error the buffer ends with.
+ * @returns {Object} An object with methods to add messages, take them and end the buffer.
+ *
+ * @example
+ * const buffer = createMessageBufferFactory({ maxLength: 1000 }, () => new Error('Too many messages'));
+ *
+ * buffer.push('hello');
+ * const { value, done } = await buffer.next(); // { value: 'hello', done: false }
+ */
+export function createMessageBufferFactory({ maxLength = Infinity, overflow = 'dropOldest' } = {}, callbackOverflow) {
+  let items = []
+  // resolve the promises returned by `next()` while the buffer is empty, in the order `next()` was called
+  let pendingNexts = []
+  let isEnded = false
+  let endError
+
+  /**
+   * Hands out the next message, the end or the error the buffer ended with.
+   * @private
+   */
+  function take() {
+    if (items.length > 0) {
+      return Promise.resolve({ value: items.shift(), done: false })
+    }
+
+    if (endError) {
+      const error = endError
+      endError = undefined
+      return Promise.reject(error)
+    }
+
+    return Promise.resolve({ value: undefined, done: true })
+  }
+
+  /**
+   * Adds a message, applying the overflow policy if `maxLength` would be exceeded. Messages added after the end are ignored.
+   * @public
+   * @param {*} item - The message to add.
+   * @returns {boolean} True if the message was added, false if it was dropped.
+   */
+  function push(item) {
+    if (isEnded) {
+      return false
+    }
+
+    if (pendingNexts.length > 0) {
+      pendingNexts.shift()({ value: item, done: false })
+      return true
+    }
+
+    if (items.length + 1 > maxLength) {
+      if (overflow === 'throw') {
+        end(callbackOverflow())
+        return false
+      }
+
+      if (overflow === 'dropNewest' || maxLength < 1) {
+        return false
+      }
+
+      items.shift()
+    }
+
+    items.push(item)
+    return true
+  }
+
+  /**
+   * Returns a promise of the next message, as the `next()` method of an async iterator does. It waits while the buffer is empty.
+   * When it is called again before the promise settles, the promises settle in the order of the calls.
+   * @public
+   * @returns {Promise<{value: *, done: boolean}>}
+   */
+  function next() {
+    if (items.length === 0 && !isEnded) {
+      return new Promise((resolve) => {
+        pendingNexts.push(resolve)
+      })
+    }
+
+    return take()
+  }
+
+  /**
+   * Ends the buffer: no more messages are added, and once the buffered messages are handed out, `next()` returns the end or rejects with `error`.
+   * @public
+   * @param {Error} [error] - The error the buffer ends with.
+   */
+  function end(error) {
+    if (isEnded) {
+      return
+    }
+
+    isEnded = true
+    endError = error
+    const resolves = pendingNexts
+    pendingNexts = []
+    for (const resolve of resolves) {
+      resolve(take())
+    }
+  }
+
+  /**
+   * Ends the buffer and discards the buffered messages.
+   * @public
+   */
+  function clear() {
+    items = []
+    endError = undefined
+    end()
+  }
+
+  /**
+   * Returns the number of buffered messages.
+   * @public
+   * @returns {number}
+   */
+  function getLength() {
+    return items.length
+  }
+
+  /**
+   * Checks if the buffer has ended.
+   * @public
+   * @returns {boolean}
+   */
+  function getIsEnded() {
+    return isEnded
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    push,
+    next,
+    end,
+    clear,
+    length: getLength,
+    isEnded: getIsEnded,
+  })
+}
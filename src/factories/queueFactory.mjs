@@ -0,0 +1,140 @@
+import { QueueError } from '../errors.mjs'
+import { byteLength } from '../utils/byteLength.mjs'
+
+/**
+ * Creates a factory function to manage a bounded queue of outgoing messages. Messages are buffered while the
+ * connection is not open and are handed back in the order they were added when the queue is flushed.
+ *
+ * @param {Object} options - Configuration options for the queue factory.
+ * @param {number} [options.maxLength=Infinity] - The maximum number of messages kept in the queue.
+ * @param {number} [options.maxBytes=Infinity] - The maximum total size in bytes of the messages kept in the queue.
+ * @param {'dropOldest'|'dropNewest'|'throw'} [options.overflow='dropOldest'] - What to do when adding a message would exceed a limit.
+ * @param {Function} callbackDropped - Callback to execute for every message dropped because of an overflow.
+ * @returns {Object} An object with methods to add, flush and clear queued messages.
+ *
+ * @example
+ * const queue = createQueueFactory({
+ *   maxLength: 100,
+ *   overflow: 'dropOldest',
+ * }, (data, reason) => {
+ *   console.log(`Message dropped (${reason})`);
+ * });
+ *
+ * queue.add('hello');
+ * queue.flush((data) => ws.send(data));
+ */
+export function createQueueFactory({ maxLength = Infinity, maxBytes = Infinity, overflow = 'dropOldest' } = {}, callbackDropped) {
+  let _maxLength = maxLength
+  let _maxBytes = maxBytes
+  let _overflow = overflow
+  let items = []
+  let totalBytes = 0
+
+  /**
+   * Removes the oldest message from the queue.
+   * @private
+   */
+  function shift() {
+    const item = items.shift()
+    totalBytes -= item.bytes
+    return item
+  }
+
+  /**
+   * Adds a message at the end of the queue, applying the overflow policy if a limit would be exceeded.
+   * @public
+   * @param {*} data - The message to add.
+   * @returns {boolean} True if the message was added, false if it was dropped.
+   * @throws {QueueError} With code `'OVERFLOW'`, if the overflow policy is `'throw'` and a limit would be exceeded.
+   */
+  function add(data) {
+    const bytes = byteLength(data)
+    const isOverflow = () => items.length + 1 > _maxLength || totalBytes + bytes > _maxBytes
+    if (isOverflow()) {
+      if (_overflow === 'throw') {
+        throw new QueueError(`Outgoing message queue is full (${items.length} messages, ${totalBytes} bytes)`, 'OVERFLOW', { data })
+      }
+
+      if (_overflow === 'dropNewest' || bytes > _maxBytes || _maxLength < 1) {
+        callbackDropped(data, 'overflow')
+        return false
+      }
+
+      while (items.length > 0 && isOverflow()) {
+        callbackDropped(shift().data, 'overflow')
+      }
+    }
+
+    items.push({ data, bytes })
+    totalBytes += bytes
+    return true
+  }
+
+  /**
+   * Empties the queue, calling `callbackSend` for each message in the order they were added.
+   * If `callbackSend` throws, the message and the ones after it are kept in the queue.
+   * @public
+   * @param {Function} callbackSend - The function used to send a message.
+   * @returns {number} The number of messages sent.
+   */
+  function flush(callbackSend) {
+    let count = 0
+    while (items.length > 0) {
+      callbackSend(items[0].data)
+      shift()
+      count += 1
+    }
+
+    return count
+  }
+
+  /**
+   * Removes all messages from the queue.
+   * @public
+   * @returns {Array} The messages which were removed.
+   */
+  function clear() {
+    const removed = items.map(({ data }) => data)
+    items = []
+    totalBytes = 0
+    return removed
+  }
+
+  /**
+   * Returns the number of messages in the queue.
+   * @public
+   * @returns {number}
+   */
+  function getLength() {
+    return items.length
+  }
+
+  /**
+   * Returns the total size in bytes of the messages in the queue.
+   * @public
+   * @returns {number}
+   */
+  function getBytes() {
+    return totalBytes
+  }
+
+  /**
+   * Update operations parameters.
+   * @public
+   */
+  function update({ maxLength = _maxLength, maxBytes = _maxBytes, overflow = _overflow } = {}) {
+    _maxLength = maxLength
+    _maxBytes = maxBytes
+    _overflow = overflow
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    add,
+    flush,
+    clear,
+    update,
+    length: getLength,
+    bytes: getBytes,
+  })
+}
@@ -3,13 +3,19 @@
  * The factory allows scheduling reconnection attempts, stopping them, and resetting the state.
  *
  * @param {Object} options - Configuration options for the reconnect factory.
- * @param {string} [options.strategy='fibonacci'] - The strategy to use for calculating delay ('fibonacci' or 'exponential').
+ * @param {string|Function} [options.strategy='fibonacci'] - The strategy to use for calculating delay ('fibonacci', 'exponential', 'linear', 'constant',
+ *   'fullJitter', 'equalJitter' or 'decorrelatedJitter'), or a function `(attempt, previousDelay) => delay` returning the delay in milliseconds.
  * @param {number} [options.initialDelay=50] - The initial delay in milliseconds before attempting a reconnect.
  * @param {number} [options.maxDelay=10000] - The maximum delay in milliseconds between reconnect attempts.
- * @param {boolean} [options.randomizeDelay=true] - Whether to randomize the delay to prevent storming.
- * @param {number} [options.factor=1.5] - The factor to use for calculating the next delay in the 'exponential' strategy.
+ * @param {boolean|number} [options.randomizeDelay=true] - Whether to randomize the delay to prevent storming. A number between 0 and 1 is the jitter ratio:
+ *   the delay is increased by a random amount of up to that fraction. `true` is a ratio of 0.2. Not applied to the jitter strategies, which are random by design,
+ *   nor to a strategy function.
+ * @param {number} [options.factor=1.5] - The factor to use for calculating the next delay in the 'exponential' and jitter strategies.
+ * @param {number} [options.maxRetries=Infinity] - The maximum number of reconnect attempts before giving up.
+ * @param {number} [options.maxElapsed=Infinity] - The maximum time in milliseconds since the first failed attempt before giving up.
  * @param {Function} callbackStartConnect - Callback to execute when a reconnect attempt is started.
  * @param {Function} callbackStartDelay - Callback to execute when a delay is scheduled before the next reconnect attempt.
+ * @param {Function} [callbackGiveUp] - Callback to execute when no further reconnect attempt is scheduled because a limit was reached.
  * @returns {Object} An object with methods to manage reconnection attempts.
  *
  * @example
@@ -18,8 +24,9 @@
  *   initialDelay: 100,
  *   maxDelay: 5000,
  *   randomizeDelay: true,
- *   factor: 2
- * }, startConnectCallback, startDelayCallback);
+ *   factor: 2,
+ *   maxRetries: 10,
+ * }, startConnectCallback, startDelayCallback, giveUpCallback);
  *
  * function startConnectCallback(retryNumber, lastConnectionTimestamp) {
  *   console.log(`Attempting to connect. Retry #: ${retryNumber}, Last connected at: ${lastConnectionTimestamp}`);
@@ -28,48 +35,128 @@
  * function startDelayCallback(retryNumber, delay) {
  *   console.log(`Waiting ${delay}ms before next connect attempt. Retry #: ${retryNumber}`);
  * }
+ *
+ * function giveUpCallback(retryNumber, elapsed, lastError) {
+ *   console.log(`Giving up after ${retryNumber} retries and ${elapsed}ms`);
+ * }
  */
-export function createReconnectFactory({ strategy = 'fibonacci', initialDelay = 50, maxDelay = 10000, randomizeDelay = true, factor = 1.5 } = {}, callbackStartConnect, callbackStartDelay) {
+export function createReconnectFactory({ strategy = 'fibonacci', initialDelay = 50, maxDelay = 10000, randomizeDelay = true, factor = 1.5, maxRetries = Infinity, maxElapsed = Infinity } = {}, callbackStartConnect, callbackStartDelay, callbackGiveUp) {
   let _strategy = strategy
   let _initialDelay = initialDelay
   let _maxDelay = maxDelay
   let _randomizeDelay = randomizeDelay
   let _factor = factor
+  let _maxRetries = maxRetries
+  let _maxElapsed = maxElapsed
   let lastConnectedMts
+  let firstFailureMts
   let isStopped = false
+  let hasGivenUp = false
   let retryNumber = 0
   let previousDelay = 0
   let delay = 0
   let nextDelay = initialDelay
+  let scheduledDelay = 0
   let timeoutId = null
 
+  // Functions calculating the delay of the attempt which follows an attempt delayed by `delay`
+  const getNextDelay = {
+    fibonacci: () => delay + previousDelay,
+    exponential: () => delay * _factor,
+    linear: () => delay + _initialDelay,
+    constant: () => _initialDelay,
+    fullJitter: () => delay * _factor,
+    equalJitter: () => delay * _factor,
+    decorrelatedJitter: () => _initialDelay,
+  }
+
+  // Functions replacing a delay capped at `maxDelay` with a random delay
+  // See https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+  const applyJitter = {
+    fullJitter: (cappedDelay) => Math.random() * cappedDelay,
+    equalJitter: (cappedDelay) => cappedDelay / 2 + Math.random() * cappedDelay / 2,
+    decorrelatedJitter: () => Math.min(_maxDelay, _initialDelay + Math.random() * Math.max(scheduledDelay * 3 - _initialDelay, 0)),
+  }
+
   /**
-   * Schedules the next reconnect attempt based on the current strategy and updates the delay.
+   * Increases a delay by a random amount, as specified by `randomizeDelay`.
+   * @private
+   */
+  function randomize(value) {
+    const ratio = _randomizeDelay === true ? 0.2 : Number(_randomizeDelay) || 0
+    return ratio > 0 ? Math.round(value * (1 + Math.random() * ratio)) : value
+  }
+
+  /**
+   * Calculates the delay before the reconnect attempt with number `attempt`.
    * @private
    */
-  function scheduleNextConnect() {
-    const getNextDelay = {
-      fibonacci: () => delay + previousDelay,
-      exponential: () => delay * _factor,
+  function getScheduledDelay(attempt) {
+    if (typeof _strategy === 'function') {
+      // The delay returned by a strategy function is used as is, without jitter
+      return Math.min(_strategy(attempt, scheduledDelay), _maxDelay)
+    }
+
+    const cappedDelay = Math.min(delay, _maxDelay)
+    if (applyJitter.hasOwnProperty(_strategy)) {
+      return Math.round(applyJitter[_strategy](cappedDelay))
     }
 
-    lastConnectedMts = Date.now()
+    return randomize(cappedDelay)
+  }
+
+  /**
+   * Schedules the next reconnect attempt based on the current strategy and updates the delay.
+   * If `maxRetries` attempts have been made, or `maxElapsed` milliseconds have passed since the first failure,
+   * no attempt is scheduled: the reconnection process stops and `callbackGiveUp` is called instead.
+   * @public
+   * @param {*} [lastError] - The error which caused the last attempt to fail, passed on to `callbackGiveUp`.
+   * @param {Object} [options]
+   * @param {boolean} [options.backoff=false] - Whether to wait at least `maxDelay`, e.g. because the server reported being overloaded.
+   * @param {number} [options.minDelay] - The minimum delay in milliseconds, e.g. as requested by the server. It is not capped at `maxDelay`, and replaces `backoff`.
+   */
+  function scheduleNextConnect(lastError, { backoff = false, minDelay } = {}) {
+    const now = Date.now()
+    firstFailureMts ??= now
+    if (retryNumber >= _maxRetries || now - firstFailureMts >= _maxElapsed) {
+      giveUp(lastError)
+      return
+    }
+
+    lastConnectedMts = now
     isStopped = false
     previousDelay = delay
     delay = nextDelay
-    let randomizedDelay = Math.min(delay, _maxDelay)
-    randomizedDelay = _randomizeDelay ? Math.round(randomizedDelay * (1 + Math.random() * 0.2)) : randomizedDelay
-
+    scheduledDelay = getScheduledDelay(retryNumber + 1)
+    if (minDelay >= 0) {
+      scheduledDelay = Math.max(scheduledDelay, Math.round(minDelay))
+    } else if (backoff) {
+      scheduledDelay = Math.max(scheduledDelay, _maxDelay)
+    }
 
-    callbackStartDelay(retryNumber + 1, randomizedDelay)
+    callbackStartDelay(retryNumber + 1, scheduledDelay)
     timeoutId = setTimeout(() => {
       retryNumber += 1
       callbackStartConnect(retryNumber, lastConnectedMts)
-    }, randomizedDelay)
+    }, scheduledDelay)
     timeoutId.unref?.()
 
-    // calculate the delay for the next reconnect
-    nextDelay =  getNextDelay[_strategy]()
+    // calculate the delay for the next reconnect; a strategy function calculates it when it is needed
+    if (typeof _strategy !== 'function') {
+      nextDelay = getNextDelay[_strategy]()
+    }
+  }
+
+  /**
+   * Stops the reconnection process because no further attempt should be made, and calls `callbackGiveUp`.
+   * @public
+   * @param {*} [lastError] - The error which caused the last attempt to fail, passed on to `callbackGiveUp`.
+   */
+  function giveUp(lastError) {
+    firstFailureMts ??= Date.now()
+    stop()
+    hasGivenUp = true
+    callbackGiveUp?.(retryNumber, Date.now() - firstFailureMts, lastError)
   }
 
   /**
@@ -78,13 +165,16 @@ export function createReconnectFactory({ strategy = 'fibonacci', initialDelay =
    */
   function reset() {
     isStopped = false
+    hasGivenUp = false
     clearTimeout(timeoutId)
     timeoutId = null
     retryNumber = 0
     previousDelay = 0
     delay = 0
     nextDelay = _initialDelay
+    scheduledDelay = 0
     lastConnectedMts = undefined
+    firstFailureMts = undefined
   }
 
   /**
@@ -114,6 +204,15 @@ export function createReconnectFactory({ strategy = 'fibonacci', initialDelay =
     return isStopped
   }
 
+  /**
+   * Checks if the reconnection process has stopped because `maxRetries` or `maxElapsed` was reached.
+   * @public
+   * @returns {boolean} True if the reconnection process has given up, false otherwise.
+   */
+  function getHasGivenUp() {
+    return hasGivenUp
+  }
+
   /**
    * Retrieves the current retry number for the reconnection attempts.
    * @public
@@ -127,23 +226,27 @@ export function createReconnectFactory({ strategy = 'fibonacci', initialDelay =
    * Update operations parameters and reset.
    * @public
    */
-  function update({ strategy = _strategy, initialDelay = _initialDelay, maxDelay = _maxDelay, randomizeDelay = _randomizeDelay, factor = _factor }) {
+  function update({ strategy = _strategy, initialDelay = _initialDelay, maxDelay = _maxDelay, randomizeDelay = _randomizeDelay, factor = _factor, maxRetries = _maxRetries, maxElapsed = _maxElapsed }) {
     _strategy = strategy
     _initialDelay = initialDelay
     _maxDelay = maxDelay
     _randomizeDelay = randomizeDelay
     _factor = factor
+    _maxRetries = maxRetries
+    _maxElapsed = maxElapsed
     reset()
   }
 
   // Return the public interface
   return Object.freeze({
     scheduleNextConnect,
+    giveUp,
     reset,
     stop,
     update,
     lastConnectedMts: getlastConnectedMts,
     isStopped: getIsStopped,
+    hasGivenUp: getHasGivenUp,
     retryNumber: getRetryNumber,
   })
 }
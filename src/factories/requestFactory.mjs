@@ -0,0 +1,149 @@
+import { RequestError } from '../errors.mjs'
+
+/**
+ * Creates a factory function to manage requests waiting for a response. Each request is identified by an id,
+ * and its promise is settled when a response with the same id is received, when it times out or when it is aborted.
+ *
+ * @param {Object} options - Configuration options for the request factory.
+ * @param {number} [options.timeout=10000] - The default time in milliseconds to wait for a response. `0` disables the timeout.
+ * @returns {Object} An object with methods to add, resolve and reject pending requests.
+ *
+ * @example
+ * const requestManager = createRequestFactory({ timeout: 5000 });
+ *
+ * const promise = requestManager.add(1);
+ * // when a response with id 1 is received
+ * requestManager.resolve(1, response);
+ */
+export function createRequestFactory({ timeout = 10000 } = {}) {
+  let _timeout = timeout
+  const pending = new Map()
+
+  /**
+   * Removes a pending request and releases its timer and abort listener.
+   * @private
+   */
+  function take(id) {
+    const request = pending.get(id)
+    if (request) {
+      pending.delete(id)
+      clearTimeout(request.timeoutId)
+      request.signal?.removeEventListener('abort', request.onAbort)
+    }
+
+    return request
+  }
+
+  /**
+   * Adds a pending request.
+   * @public
+   * @param {*} id - The id of the request.
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - The time in milliseconds to wait for a response, overriding the default.
+   * @param {AbortSignal} [options.signal] - A signal which aborts the request.
+   * @param {*} [options.connection] - The connection the request is sent on, see `rejectAll()`.
+   * @returns {Promise<*>} A promise which resolves with the response.
+   */
+  function add(id, { timeout = _timeout, signal, connection } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new RequestError('Request was aborted', 'ABORTED', { requestId: id, cause: signal.reason }))
+        return
+      }
+
+      const request = { resolve, reject, signal, connection }
+      if (timeout > 0) {
+        request.timeoutId = setTimeout(() => {
+          rejectRequest(id, new RequestError(`No response received within ${timeout}ms`, 'TIMEOUT', { requestId: id }))
+        }, timeout)
+        request.timeoutId.unref?.()
+      }
+
+      if (signal) {
+        request.onAbort = () => {
+          rejectRequest(id, new RequestError('Request was aborted', 'ABORTED', { requestId: id, cause: signal.reason }))
+        }
+        signal.addEventListener('abort', request.onAbort, { once: true })
+      }
+
+      pending.set(id, request)
+    })
+  }
+
+  /**
+   * Resolves a pending request.
+   * @public
+   * @param {*} id - The id of the request.
+   * @param {*} value - The response.
+   * @returns {boolean} True if a request with this id was pending, false otherwise.
+   */
+  function resolveRequest(id, value) {
+    const request = take(id)
+    request?.resolve(value)
+    return !!request
+  }
+
+  /**
+   * Rejects a pending request.
+   * @public
+   * @param {*} id - The id of the request.
+   * @param {Error} error - The rejection reason.
+   * @returns {boolean} True if a request with this id was pending, false otherwise.
+   */
+  function rejectRequest(id, error) {
+    const request = take(id)
+    request?.reject(error)
+    return !!request
+  }
+
+  /**
+   * Rejects all pending requests, or only those sent on a connection.
+   * @public
+   * @param {Function} createError - Function called with the id of each request, returning its rejection reason.
+   * @param {*} [connection] - The connection the requests were sent on. If omitted, all pending requests are rejected.
+   */
+  function rejectAll(createError, connection) {
+    for (const [id, request] of [...pending]) {
+      if (connection === undefined || request.connection === connection) {
+        rejectRequest(id, createError(id))
+      }
+    }
+  }
+
+  /**
+   * Checks if a request is pending.
+   * @public
+   * @returns {boolean}
+   */
+  function has(id) {
+    return pending.has(id)
+  }
+
+  /**
+   * Returns the number of pending requests.
+   * @public
+   * @returns {number}
+   */
+  function getSize() {
+    return pending.size
+  }
+
+  /**
+   * Update operations parameters.
+   * @public
+   */
+  function update({ timeout = _timeout } = {}) {
+    _timeout = timeout
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    add,
+    resolve: resolveRequest,
+    reject: rejectRequest,
+    rejectAll,
+    has,
+    update,
+    size: getSize,
+  })
+}
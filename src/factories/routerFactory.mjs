@@ -0,0 +1,102 @@
+/**
+ * Creates a factory function to route incoming messages to handlers by key, e.g. the type or the channel of the message.
+ *
+ * A route matches a message with a pattern, which is:
+ * - a string without `*` - matches the key exactly
+ * - a string with `*` - matches keys where each `*` stands for any sequence of characters, e.g. `'trades.*'`
+ * - a regular expression - matches keys it tests true for
+ * - a function `(message, key) => boolean` - matches messages it returns true for
+ *
+ * @returns {Object} An object with methods to add and remove routes, and to find the routes of a message.
+ *
+ * @example
+ * const router = createRouterFactory();
+ *
+ * router.add('trades.*', (message) => console.log('Trade', message));
+ * router.add((message) => message.error !== undefined, (message) => console.log('Error', message));
+ *
+ * for (const { handler } of router.match('trades.BTC', message)) {
+ *   handler(message);
+ * }
+ */
+export function createRouterFactory() {
+  const routes = []
+
+  /**
+   * Creates the function which tests whether a route matches a message.
+   * @private
+   */
+  function createMatcher(pattern) {
+    if (typeof pattern === 'function') {
+      return (key, message) => !!pattern(message, key)
+    }
+
+    if (pattern instanceof RegExp) {
+      return (key) => key !== undefined && pattern.test(String(key))
+    }
+
+    const keyPattern = String(pattern)
+    if (!keyPattern.includes('*')) {
+      return (key) => key !== undefined && String(key) === keyPattern
+    }
+
+    const regExp = new RegExp(`^${keyPattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+    return (key) => key !== undefined && regExp.test(String(key))
+  }
+
+  /**
+   * Adds a route. Routes are matched in the order they were added.
+   * @public
+   * @param {string|RegExp|Function} pattern - The pattern which selects the messages.
+   * @param {Function} handler - The handler of the messages.
+   * @param {Function|Object} [validate] - The validator of the messages, see `runValidator()`.
+   */
+  function add(pattern, handler, validate) {
+    routes.push({ pattern, handler, validate, matches: createMatcher(pattern) })
+  }
+
+  /**
+   * Removes a route.
+   * @public
+   * @param {string|RegExp|Function} pattern - The pattern the route was added with.
+   * @param {Function} handler - The handler the route was added with.
+   * @returns {boolean} True if the route existed, false otherwise.
+   */
+  function remove(pattern, handler) {
+    const index = routes.findIndex((route) => route.pattern === pattern && route.handler === handler)
+    if (index === -1) {
+      return false
+    }
+
+    routes.splice(index, 1)
+    return true
+  }
+
+  /**
+   * Returns the routes which match a message, in the order they were added.
+   * @public
+   * @param {*} key - The key of the message, or `undefined` if it has none.
+   * @param {*} message - The message.
+   * @returns {Array<{handler: Function, validate: Function|Object|undefined}>}
+   */
+  function match(key, message) {
+    return routes.filter(({ matches }) => matches(key, message)).map(({ handler, validate }) => ({ handler, validate }))
+  }
+
+  /**
+   * Returns the number of routes.
+   * @public
+   * @returns {number}
+   */
+  function getSize() {
+    return routes.length
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    add,
+    remove,
+    match,
+    size: getSize,
+  })
+}
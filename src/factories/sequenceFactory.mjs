@@ -0,0 +1,106 @@
+/**
+ * Creates a factory function to check the sequence numbers of incoming messages, which should increase by one with each message.
+ *
+ * Each sequence number is classified as:
+ * - `'first'` - The first sequence number checked, or the first since the last reset.
+ * - `'next'` - The expected sequence number.
+ * - `'gap'` - Greater than expected: the messages from `from` to `to` are missing.
+ * - `'duplicate'` - Not greater than the last sequence number, and not missing.
+ * - `'outOfOrder'` - Not greater than the last sequence number, but reported missing by a previous gap.
+ * - `'covered'` - Not greater than the sequence number last set with `set()`, e.g. a message replaced by a snapshot.
+ *
+ * @param {Object} options - Configuration options for the sequence factory.
+ * @param {number} [options.maxGaps=100] - The maximum number of gaps remembered to recognize messages delivered out of order.
+ * @returns {Object} An object with methods to check sequence numbers and to set or reset the last one.
+ *
+ * @example
+ * const sequenceManager = createSequenceFactory();
+ *
+ * sequenceManager.check(1); // { status: 'first' }
+ * sequenceManager.check(4); // { status: 'gap', from: 2, to: 3 }
+ * sequenceManager.check(2); // { status: 'outOfOrder' }
+ * sequenceManager.check(4); // { status: 'duplicate' }
+ */
+export function createSequenceFactory({ maxGaps = 100 } = {}) {
+  let lastSequence
+  let gaps = []
+  // the sequence number last set with `set()`, up to which messages are covered
+  let coveredSequence
+
+  /**
+   * Classifies a sequence number and, unless it is a duplicate or out of order, records it as the last one.
+   * @public
+   * @param {number} sequence - The sequence number of a message.
+   * @returns {{status: 'first'|'next'|'gap'|'duplicate'|'outOfOrder'|'covered', from?: number, to?: number}}
+   */
+  function check(sequence) {
+    if (lastSequence === undefined) {
+      lastSequence = sequence
+      return { status: 'first' }
+    }
+
+    if (sequence <= lastSequence) {
+      if (coveredSequence !== undefined && sequence <= coveredSequence) {
+        return { status: 'covered' }
+      }
+
+      const isMissing = gaps.some(({ from, to }) => sequence >= from && sequence <= to)
+      return { status: isMissing ? 'outOfOrder' : 'duplicate' }
+    }
+
+    const expected = lastSequence + 1
+    lastSequence = sequence
+    if (sequence === expected) {
+      return { status: 'next' }
+    }
+
+    const gap = { from: expected, to: sequence - 1 }
+    gaps.push(gap)
+    if (gaps.length > maxGaps) {
+      gaps.shift()
+    }
+
+    return { status: 'gap', ...gap }
+  }
+
+  /**
+   * Sets the last sequence number, e.g. the sequence number of a snapshot which replaces the missing messages.
+   * Sequence numbers up to it are then `'covered'`, and no longer reported missing.
+   * @public
+   * @param {number|undefined} sequence - The sequence number. `undefined` makes the next sequence number `'first'`.
+   */
+  function set(sequence) {
+    lastSequence = sequence
+    coveredSequence = sequence
+    if (sequence !== undefined) {
+      gaps = gaps.filter(({ to }) => to > sequence).map(({ from, to }) => ({ from: Math.max(from, sequence + 1), to }))
+    }
+  }
+
+  /**
+   * Forgets the last sequence number and the gaps.
+   * @public
+   */
+  function reset() {
+    lastSequence = undefined
+    coveredSequence = undefined
+    gaps = []
+  }
+
+  /**
+   * Returns the last sequence number.
+   * @public
+   * @returns {number|undefined}
+   */
+  function getLast() {
+    return lastSequence
+  }
+
+  // Return the public interface
+  return Object.freeze({
+    check,
+    set,
+    reset,
+    last: getLast,
+  })
+}
@@ -3,9 +3,31 @@ import EventEmitter from 'eventemitter3'
 import _ from 'lodash'
 import { isMethod } from './utils/isMethod.mjs'
 import { isObject } from './utils/isObject.mjs'
+import { isBinary } from './utils/isBinary.mjs'
 import { createReconnectFactory } from './factories/reconnectFactory.mjs'
 import { createPingFactory } from './factories/pingFactory.mjs'
 import { createTimeoutFactory} from './factories/timeoutFactory.mjs'
+import { createQueueFactory } from './factories/queueFactory.mjs'
+import { createEndpointFactory } from './factories/endpointFactory.mjs'
+import { createRequestFactory } from './factories/requestFactory.mjs'
+import { createLatencyFactory } from './factories/latencyFactory.mjs'
+import { createInboundFactory } from './factories/inboundFactory.mjs'
+import { createSequenceFactory } from './factories/sequenceFactory.mjs'
+import { createMessageBufferFactory } from './factories/messageBufferFactory.mjs'
+import { createRouterFactory } from './factories/routerFactory.mjs'
+import { parseJson } from './utils/parseJson.mjs'
+import { classifyDisconnect } from './utils/classifyDisconnect.mjs'
+import { parseRetryAfter } from './utils/parseRetryAfter.mjs'
+import { createMessageEvent } from './utils/createMessageEvent.mjs'
+import { createFrame } from './utils/createFrame.mjs'
+import { runValidator } from './utils/runValidator.mjs'
+import { codecs } from './codecs.mjs'
+import { decompress } from '#decompress'
+import { ConnectError, HandshakeError, MessagesError, QueueError, RequestError, ValidationError } from './errors.mjs'
+
+export { ForeverWebSocketError, ConnectError, HandshakeError, RequestError, MessagesError, QueueError, StreamError, DecompressError, ValidationError, JsonRpcError } from './errors.mjs'
+export { classifyDisconnect } from './utils/classifyDisconnect.mjs'
+export { codecs } from './codecs.mjs'
 
 const addListenerMethods = {
   once: 'once',
@@ -18,6 +40,31 @@ const removeListenerMethods = {
   removeEventListener: 'removeEventListener',
 }
 
+/**
+ * States of a ForeverWebSocket connection, see property `state` and event `stateChange`.
+ *
+ * - `idle` - No connection has been attempted yet (`automaticOpen` is `false` and `connect()` has not been called).
+ * - `connecting` - A WebSocket has been created and its connection is being established.
+ * - `handshaking` - The connection is open and the `handshake` hook is running.
+ * - `open` - The connection is open and ready: the `handshake` hook, if any, has completed.
+ * - `closing` - The connection is being closed by `close()`, `terminate()`, `refresh()` or because of a timeout.
+ * - `waiting` - The connection is closed and the reconnect manager is waiting for the backoff delay before the next attempt.
+ * - `closed` - The connection is closed and no reconnect is scheduled, either because of `close()`/`terminate()` or because reconnecting is disabled.
+ * - `gaveUp` - The connection is closed and the reconnect manager has given up (see event `giveup`).
+ *
+ * `connect()` leaves `idle`, `closed` and `gaveUp`.
+ */
+export const connectionStates = Object.freeze({
+  idle: 'idle',
+  connecting: 'connecting',
+  handshaking: 'handshaking',
+  open: 'open',
+  closing: 'closing',
+  waiting: 'waiting',
+  closed: 'closed',
+  gaveUp: 'gaveUp',
+})
+
 /**
  * This class represents a reconnecting WebSocket client. It extends the EventEmitter.
  *
@@ -26,50 +73,160 @@ const removeListenerMethods = {
  */
 export class ForeverWebSocket extends EventEmitter {
   // Names of properties which are not cloned from underlying WebSocket
-  #ownEventNames = ['connecting', 'delay', 'timeout', 'newListener', 'removeListener', 'reconnected']
+  #ownEventNames = ['connecting', 'delay', 'timeout', 'newListener', 'removeListener', 'reconnected', 'queued', 'flushed', 'dropped', 'giveup', 'endpoint', 'stateChange', 'ready', 'latency', 'pongMissed', 'rotated', 'gap', 'duplicate', 'outOfOrder', 'data', 'decodeError', 'frame', 'unrouted', 'invalidMessage']
 // Property names for `options`
-  #optionsExtendedPropertyNames = ['automaticOpen', 'reconnect', 'timeout', 'ping', 'createWebSocket']
+  #optionsExtendedPropertyNames = ['automaticOpen', 'reconnect', 'timeout', 'ping', 'createWebSocket', 'queue', 'connectTimeout', 'failover', 'request', 'handshake', 'handshakeTimeout', 'handshakeFailure', 'maxConnectionAge', 'sequence', 'codec', 'decompress', 'router', 'validate']
   // stores constructor parameter - the URL to which to connect
   #address
   // stores constructor parameter - the URL to which to connect#address
   #protocol
   #optionsExtended = {
     automaticOpen: true,
+    request: {},
+    handshakeFailure: 'reconnect',
   }
   #optionsWebSocket
+  #endpointManager
   #reconnectManager
+  // stores the error which caused the last connection attempt to fail, reported by event `giveup`
+  #lastError
+  #state = connectionStates.idle
+  // whether the `handshake` hook has completed on the current WebSocket connection
+  #isHandshakeDone = false
+  // promise which resolves when the `handshake` hook of the current WebSocket settles, with the error if it failed
+  #handshakeResult
+  // promise of the connection attempt in progress, see `connect()`
+  #connectAttempt
   #timeoutManager
+  #ageManager
+  // promise of the rotation in progress, see `rotate()`
+  #rotation
+  // timer which rotates the connection back to the primary URL, see `options.failover.policy`
+  #recoveryTimer
   #pingManager
+  #latencyManager
+  #queueManager
+  #requestManager
+  #inboundManager
+  #sequenceManager
+  #routerManager
+  // the codec set by `options.codec`, with the name of a built-in codec resolved
+  #codec
+  // id of the last request sent by `request()`, used by the default id generator
+  #lastRequestId = 0
   // stores WebSocket registered listeners, which will be re-registered when a new WebSocket connection is established at reconnect
   #listenersWebSocket = {}
+  // stores subscription messages by key, which will be re-sent in order each time the WebSocket connection opens
+  #subscriptions = new Map()
+  // stores the consumers of incoming messages created by `messages()`, each with its buffer
+  #messageConsumers = new Set()
+  // stores the middleware added with `use()`, in the order it runs
+  #middlewares = []
+  // promise of the last message passed to `send()` while outbound middleware is set, so that messages are sent in order
+  #outboundChain = Promise.resolve()
 
   /**
    * Constructs a new WebSocket connection with enhanced features like automatic reconnection, ping management, and connection timeout handling.
    * This constructor initializes the WebSocket connection based on the provided address, optional protocols, and a set of custom options.
    * It extends the basic WebSocket functionality with support for automatic reconnection, periodic ping messages, and connection timeout detection.
    *
-   * @param {string} address - The URL to which the WebSocket should connect.
+   * @param {string|string[]|function} address - The URL to which the WebSocket should connect, a list of equivalent URLs to fail over between,
+   *   or a function returning the URL (or a promise of it) for each connection attempt.
    * @param {string|string[]} [protocol] - Optional. One or more subprotocols as a string or array of strings.
    * @param {object} [options] - An optional object containing configuration options. This includes both standard WebSocket options and extended options for reconnection, ping, and timeout management.
    *
    * @param {boolean} [options.automaticOpen=true] - Whether to automatically open the WebSocket connection upon instantiation.
    *
    * @param {object} [options.reconnect={}] - Configuration for automatic reconnection. If omitted or null, reconnection is disabled.
-   * @param {'fibonacci'|'exponential'} [options.reconnect.strategy='fibonacci'] - The strategy to use for calculating reconnection delay.
+   * @param {'fibonacci'|'exponential'|'linear'|'constant'|'fullJitter'|'equalJitter'|'decorrelatedJitter'|function} [options.reconnect.strategy='fibonacci'] - The strategy to use for calculating reconnection delay,
+   *   or a function `(attempt, previousDelay) => delay` returning the delay in milliseconds.
    * @param {number} [options.reconnect.initialDelay=50] - The initial delay in milliseconds before attempting a reconnection.
    * @param {number} [options.reconnect.maxDelay=10000] - The maximum delay in milliseconds between reconnection attempts.
-   * @param {number} [options.reconnect.factor=1.5] - The multiplicative factor for calculating the next delay in the 'exponential' strategy.
-   * @param {boolean} [options.reconnect.randomizeDelay=false] - Whether to apply randomization to the reconnection delay.
+   * @param {number} [options.reconnect.factor=1.5] - The multiplicative factor for calculating the next delay in the 'exponential' and jitter strategies.
+   * @param {boolean|number} [options.reconnect.randomizeDelay=true] - Whether to apply randomization to the reconnection delay. A number between 0 and 1 sets the jitter ratio, `true` is `0.2`. Not applied to a strategy function.
+   * @param {number} [options.reconnect.maxRetries=Infinity] - The maximum number of reconnection attempts before giving up.
+   * @param {number} [options.reconnect.maxElapsed=Infinity] - The maximum time in milliseconds the connection may stay down before giving up.
+   * @param {function} [options.reconnect.shouldReconnect] - A predicate `(cause, classification) => boolean` deciding whether to reconnect after the connection
+   *   was lost or could not be opened. `cause` is the close event, or the error which prevented the connection (with `statusCode` if the server answered the
+   *   opening handshake with an HTTP error). `classification` is the built-in decision, `'retry'`, `'backoff'` or `'fatal'` (see `classifyDisconnect()`),
+   *   which is applied when the predicate returns `undefined`. Returning `false` gives up reconnecting.
+   * @param {function} [options.reconnect.parseCloseReason] - A function `(reason, code) => delay` returning the delay in milliseconds requested by the server
+   *   in the reason of a close frame, e.g. `'retry_after=30'`, or `undefined`. The next attempt waits at least this delay, as it does for the `Retry-After` header
+   *   of a rejected opening handshake (node.js only).
    *
    * @param {number} [options.timeout] - The timeout in milliseconds for detecting loss of connection. A timeout event is triggered if no messages are received within this period.
    *
+   * @param {number} [options.maxConnectionAge] - The time in milliseconds after which a ready connection is replaced with a new one, without gap, see `rotate()`.
+   *   If omitted, connections are not rotated.
+   *
    * @param {object} [options.ping] - Configuration for sending ping messages to maintain the connection.
    * @param {number} [options.ping.interval] - The interval in milliseconds at which ping messages are sent.
    * @param {any} [options.ping.data] - The data to send in the ping message.
    * @param {boolean} [options.ping.pingFrame=false] - Whether to send the ping as a WebSocket ping frame.
    * @param {boolean} [options.ping.mask] - Whether to mask the ping data.
+   * @param {function} [options.ping.pongMatcher] - A function `(data) => boolean` recognizing the server response to an application ping (not a ping frame),
+   *   used to measure latency. `data` is the data of the incoming message.
+   * @param {number} [options.ping.latencyWindow=100] - The number of most recent round-trip times used to calculate the `latency` statistics.
+   * @param {number} [options.ping.maxMissed] - The number of unanswered pings after which the connection is considered dead and is closed, then reconnected.
+   *   Requires ping frames or `options.ping.pongMatcher`.
+   * @param {'refresh'|'terminate'} [options.ping.missedAction='refresh'] - How the connection is closed when `options.ping.maxMissed` is reached:
+   *   `'refresh'` closes it with a close frame (see `refresh()`), `'terminate'` destroys the socket without waiting for the server, which suits half-open connections.
    *
    * @param {function} [options.createWebSocket] - A function that returns a new WebSocket instance, allowing for custom WebSocket creation logic upon reconnection.
+   *   It is called with the URL chosen for the connection attempt.
+   *
+   * @param {object} [options.failover] - Configuration for choosing between the URLs when `address` is a list.
+   * @param {'sticky'|'roundRobin'|'priority'} [options.failover.policy='sticky'] - The failover policy.
+   * @param {number} [options.failover.recoveryInterval=60000] - The time in milliseconds after which the `'priority'` policy tries the first URL again.
+   *   While connected to another URL, the connection is then rotated back to the first URL (see `rotate()`); if that fails, the current connection is kept.
+   *
+   * @param {number} [options.connectTimeout] - The time in milliseconds a connection attempt may take before it is aborted. If omitted, attempts are not timed out.
+   *
+   * @param {function} [options.handshake] - An async hook `(context) => {}` run each time the connection opens, e.g. to log in, before event `ready` is emitted.
+   *   `context.send(data)` and `context.request(payload, options)` send on the connection without waiting for `ready`, and return promises as `send()`
+   *   and `request()` do; `context.ws` is the underlying WebSocket.
+   * @param {number} [options.handshakeTimeout] - The time in milliseconds the `handshake` hook may take. If omitted, the hook is not timed out.
+   * @param {'reconnect'|'close'} [options.handshakeFailure='reconnect'] - What to do when the `handshake` hook fails: close the connection
+   *   and reconnect after the backoff delay, or close the connection and stop reconnecting. A connection lost during the hook is reconnected as usual,
+   *   and the hook is no longer awaited.
+   *
+   * @param {object} [options.request] - Configuration for `request()`.
+   * @param {number} [options.request.timeout=10000] - The default time in milliseconds to wait for a response. `0` disables the timeout.
+   * @param {function} [options.request.generateId] - A function returning the id of a new request. Defaults to an incrementing integer.
+   * @param {function} [options.request.injectId] - A function `(payload, id) => message` returning the message to send. Defaults to adding property `id` to the payload.
+   * @param {function} [options.request.extractId] - A function `(message) => id` returning the id of the request an incoming JSON message responds to. Defaults to reading property `id`.
+   *
+   * @param {object} [options.queue] - Configuration for buffering messages sent while the connection is not open. If omitted, `send()` is not buffered.
+   * @param {number} [options.queue.maxLength=Infinity] - The maximum number of buffered messages.
+   * @param {number} [options.queue.maxBytes=Infinity] - The maximum total size in bytes of buffered messages.
+   * @param {'dropOldest'|'dropNewest'|'throw'} [options.queue.overflow='dropOldest'] - What to do when a limit would be exceeded.
+   *
+   * @param {object} [options.sequence] - Configuration for checking the sequence numbers of incoming messages. If omitted, sequence numbers are not checked.
+   * @param {function} options.sequence.extract - A function `(data) => number` returning the sequence number of a message, or `undefined` if the message has none.
+   *   Sequence numbers should increase by one with each message. Duplicate and out of order messages are not passed to `message` listeners.
+   * @param {function} [options.sequence.resync] - An async hook `({ from, to }) => sequence` run when messages are missing (see event `gap`), e.g. to fetch a snapshot.
+   *   Incoming messages are held back until it completes. It may return the sequence number the snapshot is up to date with; held back messages
+   *   up to this number are then dropped silently, without event `duplicate` or `outOfOrder`.
+   * @param {boolean} [options.sequence.resetOnReconnect=false] - Whether sequence numbers start again with each connection.
+   *
+   * @param {string|object} [options.codec] - The codec which encodes the data passed to `send()` and decodes incoming messages, emitted as event `data`:
+   *   the name of a built-in codec (`'json'`, `'text'`, `'ndjson'` or `'binary'`, see `codecs`), or an object with methods `encode(value)` and `decode(data, isBinary)`.
+   *   If omitted, objects are sent as JSON and event `data` is not emitted.
+   *
+   * @param {object} [options.decompress] - Configuration for decompressing incoming binary messages, before they are passed to `message` listeners and decoded.
+   *   If omitted, binary messages are passed on as received. Text messages are never decompressed.
+   * @param {'gzip'|'deflate'|'deflate-raw'} [options.decompress.format] - The compression format. If omitted, it is detected from each message.
+   * @param {number} [options.decompress.maxSize=10485760] - The maximum size in bytes of a decompressed message. Larger messages are dropped (see event `decodeError`).
+   * @param {'text'|'binary'} [options.decompress.output='text'] - Whether decompressed messages are passed on as UTF-8 text or as binary data.
+   *
+   * @param {object} [options.router] - Configuration for routing incoming messages, see `route()`.
+   * @param {function} [options.router.key] - A function `(message) => key` returning the key routes are matched with. Defaults to `message.type`, or `message.channel` if there is no type.
+   *
+   * @param {object} [options.validate] - Validators of messages: functions `(message) => result`, e.g. compiled JSON Schemas, or Standard Schemas (see `runValidator()`).
+   * @param {function|object} [options.validate.inbound] - Validates incoming messages, once decoded by `options.codec` or, if it is not set, as JSON. Invalid messages are dropped,
+   *   and emitted as event `invalidMessage`. Messages which cannot be decoded are passed on without validation.
+   * @param {function|object} [options.validate.outbound] - Validates the data passed to `send()`, before outbound middleware runs and before it is encoded. It must be synchronous.
+   *   The promise returned by `send()` rejects with a `ValidationError` for invalid data.
    *
    * @example
    * const ws = new ForeverWebSocket('ws://example.com', 'protocol', {
@@ -91,16 +248,37 @@ export class ForeverWebSocket extends EventEmitter {
    * ws.on('connecting', (retryNumber, lastConnectionTimestamp) => console.log(`Reconnecting attempt #${retryNumber} since ${lastConnectionTimestamp}`));
    * ws.on('delay', (retryNumber, delay) => console.log(`Delaying next reconnect attempt by ${delay}ms (Attempt #${retryNumber})`));
    * ws.on('timeout', (lastActiveMts) => console.log(`Connection timed out. Last activity at ${lastActiveMts}`));
+   * ws.on('giveup', (retryNumber, elapsed, lastError) => console.log(`Gave up after ${retryNumber} retries and ${elapsed}ms`));
+   * ws.on('latency', (rtt) => console.log(`Round-trip time ${rtt}ms`));
+   * ws.on('ready', () => console.log('Connection is open and the handshake has completed'));
+   * ws.on('rotated', (endpoint) => console.log(`Connection replaced with a new one to ${endpoint}`));
+   * ws.on('gap', (from, to) => console.log(`Messages ${from} to ${to} are missing`));
+   * ws.on('data', (value) => console.log('Decoded message', value));
+   * ws.on('frame', async (frame) => console.log('Message received at', frame.receivedAt, await frame.text()));
+   * ws.on('unrouted', (message) => console.log('No route for message', message));
+   * ws.on('invalidMessage', (message, errors) => console.log('Invalid message', message, errors));
+   * ws.on('decodeError', (error, data) => console.log('Message could not be decoded', data));
+   * ws.on('stateChange', (newState, oldState, reason) => console.log(`State changed from ${oldState} to ${newState} (${reason})`));
+   * ws.on('queued', (data, queueLength) => console.log(`Message queued, ${queueLength} messages waiting`));
    */
   constructor(address, protocol, options) {
     super()
     this.#initializeClassParameters(address, protocol, options)
     this.#replicateWebSocketProperties()
+    this.#setupEndpointManager()
     this.#setupReconnectManager()
     this.#setupPingManager()
     this.#setupTimeoutManager()
+    this.#setupAgeManager()
+    this.#setupQueueManager()
+    this.#setupRequestManager()
+    this.#setupInboundManager()
+    this.#setupSequenceManager()
+    this.#setupCodec()
+    this.#setupRouterManager()
     if (this.#optionsExtended.automaticOpen) {
-      this.connect()
+      // Failures are reported through events and handled by the reconnect manager
+      this.connect().catch(() => {})
     }
   }
 
@@ -114,6 +292,36 @@ export class ForeverWebSocket extends EventEmitter {
     return this.ws?.readyState
   }
 
+  /**
+   * Returns the state of the connection, one of the values of `connectionStates`.
+   * Unlike `readyState`, it is defined between WebSocket objects and tells whether a reconnect is pending.
+   *
+   * @returns {string}
+   */
+  get state() {
+    return this.#state
+  }
+
+  /**
+   * Returns round-trip latency statistics, in milliseconds, measured from pings sent by the `ping` option.
+   * Ping frames are matched with pong frames; application pings are matched with messages recognized by `options.ping.pongMatcher`.
+   * Statistics are calculated over the last `options.ping.latencyWindow` samples, and are `undefined` until a sample is available.
+   *
+   * @returns {{last: number|undefined, min: number|undefined, avg: number|undefined, p95: number|undefined, samples: number}}
+   */
+  get latency() {
+    return this.#latencyManager?.stats() ?? { last: undefined, min: undefined, avg: undefined, p95: undefined, samples: 0 }
+  }
+
+  /**
+   * Returns the URL used by the current (or last) connection attempt, or `undefined` if no attempt has been made.
+   *
+   * @returns {string|undefined}
+   */
+  get endpoint() {
+    return this.#endpointManager.current()
+  }
+
   on(eventName, listener, options) {
     this.#registerEventListener(eventName, listener, options, addListenerMethods.on)
     this.#attachEventListener(eventName, listener, options, addListenerMethods.on)
@@ -152,20 +360,279 @@ export class ForeverWebSocket extends EventEmitter {
 
   /**
    * Sends data to the WebSocket server. This method allows sending both string and object data.
-   * If an object is passed, it will be automatically converted to a JSON string before sending.
+   * If an object is passed, it will be automatically converted to a JSON string before sending. Binary data (`ArrayBuffer`, views such as `Buffer`, `Blob`) is sent as is.
+   * When `options.codec` is set, the data is encoded by the codec instead.
+   * When `options.validate.outbound` is set, the data is validated first, then passed to middleware with an `outbound` hook, if any (see `use()`).
    *
-   * Note: Calling `send` while the connection is still establishing (CONNECTING state) or
-   * if the WebSocket object does not exist (e.g., not initialized or already closed) will result in an exception.
+   * `send()` does not throw: it returns a promise which resolves once the data is sent, buffered by the `queue` option, or dropped by a middleware,
+   * and rejects if it cannot be sent. The error is also emitted as event `error`, so that the promise may be left unhandled.
+   * Without outbound middleware, the data is sent before `send()` returns.
    *
-   * @param {string|Object} data - The data to send to the server. Objects are automatically stringified.
-   * @throws {Error} If the WebSocket connection is not open or the WebSocket object does not exist.
+   * Note: Sending while the connection is still establishing (CONNECTING state) or if the WebSocket object does not exist
+   * (e.g., not initialized or already closed) fails, unless the `queue` option is set, in which case the message is buffered
+   * and sent when the connection is ready (i.e. open, and the `handshake` hook, if any, has completed).
+   * Once the connection is closed by `close()` or `terminate()`, or reconnecting has given up, messages are no longer buffered.
+   *
+   * @param {string|Object|ArrayBuffer|ArrayBufferView|Blob} data - The data to send to the server. Objects, other than binary data, are automatically stringified.
+   * @returns {Promise<void>} A promise which resolves once the data is sent, buffered or dropped by a middleware.
+   * @throws {ValidationError} The promise rejects if `options.validate.outbound` is set and the data is invalid.
+   * @throws {Error} The promise rejects if the WebSocket connection is not open or the WebSocket object does not exist,
+   *                 or with a `QueueError` with code `'OVERFLOW'` if the queue is full and its overflow policy is `'throw'`,
+   *                 or with code `'CLOSED'` if the connection is closed (state `closed` or `gaveUp`) and the data would be buffered.
    */
   send(data) {
-    if (typeof data === 'object') {
-      this.ws.send(JSON.stringify(data))
+    const sent = this.#send(data)
+    sent.catch((error) => this.emit('error', error))
+    return sent
+  }
+
+  /**
+   * Adds a middleware, which runs on incoming messages, on data passed to `send()`, or both. Middleware runs in the order it was added,
+   * and is kept across reconnects.
+   *
+   * Each hook receives the message, and returns (or resolves with) the message to pass on: the same, modified or a new one.
+   * It may return `undefined` to pass on the message it received, or `null` to drop it. A hook which throws or rejects drops the message,
+   * and event `error` is emitted. Messages are passed on in order: the following messages wait while a hook is pending.
+   *
+   * @param {object} middleware
+   * @param {function} [middleware.inbound] - A hook `(message) => message` run on each incoming message, after decompression (see `options.decompress`) and before
+   *   sequence numbers are checked and `message` listeners are called. Responses to `request()` are settled before it runs. `message` is an object `{ data, isBinary, receivedAt, meta }`;
+   *   `meta` is an object for annotations, passed on to later middleware and to event `frame`.
+   * @param {function} [middleware.outbound] - A hook `(data) => data` run on the data passed to `send()` and `request()`, on the data sent by the `handshake` hook,
+   *   and on subscriptions, before it is encoded. The promise returned by `send()` resolves once the hooks have run and the data is sent,
+   *   and rejects with the error of a hook.
+   * @returns {ForeverWebSocket} This instance, for chaining.
+   * @throws {TypeError} If the middleware has neither `inbound` nor `outbound` hook.
+   *
+   * @example
+   * ws.use({
+   *   inbound: (message) => {
+   *     metrics.increment('messages');
+   *     message.meta.latency = Date.now() - JSON.parse(message.data).timestamp;
+   *   },
+   *   outbound: async (data) => ({ ...data, signature: await sign(data) }),
+   * });
+   */
+  use(middleware) {
+    if (typeof middleware?.inbound !== 'function' && typeof middleware?.outbound !== 'function') {
+      throw new TypeError('Middleware must have an inbound or an outbound hook')
+    }
+
+    this.#middlewares.push(middleware)
+    return this
+  }
+
+  /**
+   * Returns the number of messages buffered by the `queue` option and waiting to be sent.
+   *
+   * @returns {number}
+   */
+  get queueLength() {
+    return this.#queueManager?.length() ?? 0
+  }
+
+  /**
+   * Discards all messages buffered by the `queue` option.
+   *
+   * @returns {Array} The discarded messages.
+   */
+  clearQueue() {
+    return this.#queueManager?.clear() ?? []
+  }
+
+  /**
+   * Registers a subscription which is sent now, if the connection is ready, and again each time the connection is ready
+   * (i.e. open, and the `handshake` hook, if any, has completed).
+   * Subscriptions are re-sent in the order they were first registered, before messages buffered by the `queue` option.
+   * Registering an existing key replaces its messages and keeps its position.
+   *
+   * @param {*} key - Identifies the subscription, e.g. the channel name.
+   * @param {string|Object} message - The message which subscribes. Objects are automatically stringified.
+   * @param {object} [options]
+   * @param {string|Object} [options.unsubscribe] - The message sent by `unsubscribe(key)`.
+   * @returns {ForeverWebSocket} This instance, for chaining.
+   * @throws {ValidationError} If `options.validate.outbound` is set and a message is invalid. The subscription is then not registered.
+   *
+   * @example
+   * ws.subscribe('trades:BTC-USD', { op: 'subscribe', channel: 'trades', symbol: 'BTC-USD' }, {
+   *   unsubscribe: { op: 'unsubscribe', channel: 'trades', symbol: 'BTC-USD' },
+   * });
+   */
+  subscribe(key, message, { unsubscribe } = {}) {
+    this.#validateOutbound(message)
+    if (unsubscribe !== undefined) {
+      this.#validateOutbound(unsubscribe)
+    }
+
+    this.#subscriptions.set(key, { message, unsubscribe })
+    if (this.#isReady()) {
+      this.send(message)
+    }
+
+    return this
+  }
+
+  /**
+   * Removes a subscription registered with `subscribe()`, so that it is no longer re-sent.
+   * Its `unsubscribe` message, if any, is sent if the connection is ready.
+   *
+   * @param {*} key - The key the subscription was registered with.
+   * @returns {boolean} True if the subscription existed, false otherwise.
+   */
+  unsubscribe(key) {
+    const subscription = this.#subscriptions.get(key)
+    if (!subscription) {
+      return false
+    }
+
+    this.#subscriptions.delete(key)
+    if (subscription.unsubscribe !== undefined && this.#isReady()) {
+      this.send(subscription.unsubscribe)
+    }
+
+    return true
+  }
+
+  /**
+   * Returns the keys of the subscriptions registered with `subscribe()`, in the order they are re-sent.
+   *
+   * @returns {Array}
+   */
+  get subscriptions() {
+    return [...this.#subscriptions.keys()]
+  }
+
+  /**
+   * Adds a route: incoming messages matching `pattern` are passed to `handler`. Routes are kept across reconnects.
+   *
+   * Messages are routed once decoded, by `options.codec` or, if it is not set, as JSON. The key of a message, returned by `options.router.key`,
+   * is matched by string and regular expression patterns; function patterns are passed the message. Each message is passed to the handlers
+   * of all the routes which match it, in the order the routes were added. Messages which match no route are emitted as event `unrouted`.
+   *
+   * @param {string|RegExp|function} pattern - The key of the messages, a key with `*` wildcards (e.g. `'trades.*'`), a regular expression testing the key,
+   *   or a predicate `(message, key) => boolean`.
+   * @param {function} handler - A function `(message, key)` called with each decoded message which matches `pattern`, and its key.
+   * @param {object} [options]
+   * @param {function|object} [options.validate] - Validates the messages of this route, in addition to `options.validate.inbound`. Invalid messages are not passed to `handler`,
+   *   and are emitted as event `invalidMessage`. If the validator is async, `handler` may be called after the handlers of later messages.
+   * @returns {ForeverWebSocket} This instance, for chaining.
+   *
+   * @example
+   * ws.route('trade', (trade) => console.log(trade.price))
+   *   .route('book.*', (update, channel) => books.get(channel).apply(update))
+   *   .route((message) => message.error !== undefined, (message) => console.log(message.error));
+   */
+  route(pattern, handler, { validate } = {}) {
+    this.#routerManager.add(pattern, handler, validate)
+    return this
+  }
+
+  /**
+   * Removes a route added with `route()`.
+   *
+   * @param {string|RegExp|function} pattern - The pattern the route was added with.
+   * @param {function} handler - The handler the route was added with.
+   * @returns {boolean} True if the route existed, false otherwise.
+   */
+  unroute(pattern, handler) {
+    return this.#routerManager.remove(pattern, handler)
+  }
+
+  /**
+   * Sends a request and waits for its response. A correlation id is added to the request, and the promise resolves with
+   * the first incoming JSON message carrying the same id. See `options.request` for how ids are generated, added and read.
+   *
+   * @param {*} payload - The request. It is passed to `options.request.injectId` together with the id.
+   * @param {object} [options]
+   * @param {number} [options.timeout] - The time in milliseconds to wait for the response, overriding `options.request.timeout`.
+   * @param {AbortSignal} [options.signal] - A signal which aborts the request.
+   * @returns {Promise<*>} A promise which resolves with the parsed response message.
+   * @throws {RequestError} The promise rejects if the request times out, is aborted, cannot be sent,
+   *                        or if the connection closes or is refreshed before the response is received.
+   *
+   * @example
+   * const response = await ws.request({ method: 'getBalance' }, { timeout: 5000 });
+   */
+  request(payload, { timeout, signal } = {}) {
+    return this.#request(payload, { timeout, signal }, (data) => this.#send(data))
+  }
+
+  /**
+   * Returns an async iterator over incoming messages, for use with `for await`. It spans reconnects, and ends when the connection
+   * is closed by `close()` or `terminate()`, when reconnecting gives up, or when the loop is left (`break`, `return`). Created once the connection is closed or has given up, it ends at once.
+   *
+   * Messages are buffered until they are consumed. Messages received before the iterator is created are not included.
+   *
+   * @param {object} [options]
+   * @param {number} [options.maxLength=Infinity] - The maximum number of buffered messages.
+   * @param {'dropOldest'|'dropNewest'|'throw'} [options.overflow='dropOldest'] - What happens when `maxLength` would be exceeded: the oldest buffered message
+   *   is dropped, the new message is dropped, or the iterator throws a `MessagesError` with code `'OVERFLOW'` once the buffered messages are consumed.
+   * @param {boolean} [options.markers=false] - Whether the iterator yields markers. Each value is then an object: `{ type: 'message', data }`,
+   *   `{ type: 'reconnected', retryNumber, lastConnectedMts }` when the connection opens again, or `{ type: 'gap', from, to }` when messages are missing (see option `sequence`).
+   * @returns {AsyncIterableIterator<*>} An iterator yielding the data of each message, or markers.
+   *
+   * @example
+   * for await (const data of ws.messages({ maxLength: 1000 })) {
+   *   await handle(data);
+   * }
+   */
+  messages({ maxLength, overflow, markers = false } = {}) {
+    const consumer = { markers }
+    consumer.buffer = createMessageBufferFactory({ maxLength, overflow }, () => {
+      this.#messageConsumers.delete(consumer)
+      return new MessagesError(`Incoming message buffer is full (${maxLength} messages)`, 'OVERFLOW')
+    })
+    if (this.#state === connectionStates.closed || this.#state === connectionStates.gaveUp) {
+      consumer.buffer.end()
     } else {
-      this.ws.send(data)
+      this.#messageConsumers.add(consumer)
+    }
+
+    return {
+      next: () => consumer.buffer.next(),
+      return: async () => {
+        this.#messageConsumers.delete(consumer)
+        consumer.buffer.clear()
+        return { value: undefined, done: true }
+      },
+      [Symbol.asyncIterator]() {
+        return this
+      },
+    }
+  }
+
+  /**
+   * Returns a WHATWG `ReadableStream` of incoming messages, which pulls them from `messages()`. See `messages()` for the options, and for when the stream closes.
+   * A stream cancelled by its reader stops buffering messages.
+   *
+   * @param {object} [options] - The options of `messages()`.
+   * @returns {ReadableStream}
+   * @throws {TypeError} If `ReadableStream` is not available globally, i.e. before Node.js 18.
+   * @throws {MessagesError} The stream errors with code `'OVERFLOW'` if option `overflow` is `'throw'` and `maxLength` is exceeded.
+   *
+   * @example
+   * const reader = ws.readableStream({ maxLength: 1000 }).getReader();
+   * const { value } = await reader.read();
+   */
+  readableStream(options) {
+    if (typeof ReadableStream !== 'function') {
+      throw new TypeError('ReadableStream is not available, it requires Node.js 18 or later, or a web browser')
     }
+
+    const iterator = this.messages(options)
+    return new ReadableStream({
+      async pull(controller) {
+        const { value, done } = await iterator.next()
+        if (done) {
+          controller.close()
+        } else {
+          controller.enqueue(value)
+        }
+      },
+      cancel() {
+        return iterator.return()
+      },
+    }, { highWaterMark: 0 })
   }
 
   /**
@@ -179,7 +646,16 @@ export class ForeverWebSocket extends EventEmitter {
    * for initiating or reinitiating the WebSocket connection in a reliable manner.
    *
    * @returns {Promise<void>} A promise that resolves once the connection has been successfully
-   *                          established, or immediately if the connection is already open.
+   *                          established and the `handshake` hook, if any, has completed,
+   *                          or immediately if the connection is already open.
+   * @throws {ConnectError} The promise rejects if the WebSocket cannot be created, if it emits `error` or
+   *                        `close` before it is open, or if it is not open within `options.connectTimeout`.
+   *                        A reconnect is still scheduled when the reconnect option is on.
+   * @throws {HandshakeError} The promise rejects if the `handshake` hook fails.
+   *
+   * Calling `connect()` after `close()`, `terminate()` or after reconnecting has given up (see event `giveup`)
+   * re-enables reconnecting. While a connection attempt is in progress, including a reconnect, the promise of that attempt is returned
+   * instead of starting another one.
    *
    * @example
    * // Assuming an instance of the class has been created
@@ -197,55 +673,68 @@ export class ForeverWebSocket extends EventEmitter {
   async connect() {
     // Check if the WebSocket is already open
     if (this.#isWebSocketOpen()) {
-      // Return (don't connect/reconnect)
-      return
-    }
-
-    // Check if old WebSocket exists
-    if (this.ws) {
-      // Cleanup event listeners
-      this.#cleanupWebSocket()
-    }
-
-    // Stop ping and timout managers, will activate them again when WebSocket connection is open
-    this.#pingManager?.stop()
-    this.#timeoutManager?.stop()
-
-    // Create new WebSocket
-    try {
-      if (this.#optionsExtended.createWebSocket) {
-        this.ws = await this.#optionsExtended.createWebSocket()
-      } else {
-        this.ws = new WebSocket(this.#address, this.#protocol, this.#optionsWebSocket)
-      }
-    } catch (error) {
-      this.emit('error', error);
-      this.ws = null; // Set this.ws to null to indicate no connection
-      // Schedule reconnect if the option is on
-      if (this.#reconnectManager && !this.#reconnectManager.isStopped()) {
-        this.#reconnectManager.scheduleNextConnect()
+      // Return (don't connect/reconnect), once the handshake of the open connection has completed
+      const handshakeError = await this.#handshakeResult
+      if (handshakeError) {
+        throw handshakeError
       }
 
       return
     }
 
+    // Don't open a second WebSocket while a connection attempt is in progress
+    if (this.#state === connectionStates.connecting && this.#connectAttempt) {
+      return this.#connectAttempt
+    }
+
+    // Leave a stopped or given up state, and restart counting retries
     this.#reconnectManager?.reset()
-    this.#reattachConnectionManagers()
-    this.#reattachEventListeners()
-    this.#assignCustomEventHandlers()
+    this.#connectAttempt = this.#openWebSocket('connect')
+    return this.#connectAttempt
   }
 
   /**
    * Refreshes the WebSocket connection by closing the current connection and triggering a reconnection.
    * This can be used to manually reset the connection with optional closure code and reason.
+   * It does nothing if there is no WebSocket yet, or if it is already closed.
    *
    * @param {number} [code] - Optional status code indicating why the connection is being closed.
    * @param {string} [reason] - Optional human-readable string explaining why the connection is closing.
    */
   refresh(code, reason) {
+    if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
+      return
+    }
+
+    this.#setState(connectionStates.closing, 'refresh')
+    this.#requestManager.rejectAll((id) => new RequestError('Connection was refreshed before a response was received', 'REFRESHED', { requestId: id }))
     this.ws.close(code, reason)
   }
 
+  /**
+   * Replaces the connection with a new one without a gap ("make before break"): a second WebSocket is opened, the `handshake` hook
+   * is run on it and the subscriptions are sent over it, then the listeners are moved to it, and only then the current WebSocket is closed.
+   * Event `rotated`, then event `ready`, are emitted once the new connection is in use.
+   *
+   * Use it, e.g., when the server announces that it is going to close the connection. See also `options.maxConnectionAge`.
+   * If the connection is not ready, it is equivalent to `connect()`.
+   *
+   * @returns {Promise<void>} A promise which resolves once the new connection is in use. If it rejects, the current connection is kept.
+   * @throws {ConnectError} The promise rejects if the new WebSocket cannot be created or opened (see `connect()`), or with code `'ROTATION_ABORTED'`
+   *                        if the current connection was closed or replaced in the meantime.
+   * @throws {HandshakeError} The promise rejects if the `handshake` hook fails on the new connection.
+   */
+  rotate() {
+    if (!this.#isReady()) {
+      return this.connect()
+    }
+
+    this.#rotation ??= this.#rotateWebSocket().finally(() => {
+      this.#rotation = undefined
+    })
+    return this.#rotation
+  }
+
   /**
    * Closes the current WebSocket connection and halts any further attempts to reconnect.
    * Use this method to intentionally disconnect and clean up resources.
@@ -256,7 +745,10 @@ export class ForeverWebSocket extends EventEmitter {
   close(code, reason) {
     this.#pingManager?.stop()
     this.#timeoutManager?.stop()
+    this.#ageManager?.stop()
+    clearTimeout(this.#recoveryTimer)
     this.#reconnectManager?.stop()
+    this.#setStateClosingOrClosed('close')
     this.ws?.close(code, reason)
   }
 
@@ -268,7 +760,10 @@ export class ForeverWebSocket extends EventEmitter {
   terminate() {
     this.#pingManager?.stop()
     this.#timeoutManager?.stop()
+    this.#ageManager?.stop()
+    clearTimeout(this.#recoveryTimer)
     this.#reconnectManager?.stop()
+    this.#setStateClosingOrClosed('terminate')
     if (typeof this.ws?.terminate === 'function') {
       this.ws?.terminate()
     } else {
@@ -285,6 +780,19 @@ export class ForeverWebSocket extends EventEmitter {
    * @param {number} [options.timeout] - The timeout in milliseconds for detecting loss of connection. A timeout event is triggered if no messages are received within this period.
    * @param {object} [options.ping] - Configuration for sending ping messages to maintain the connection.
    * @param {function} [options.createWebSocket] - A function that returns a new WebSocket instance, allowing for custom WebSocket creation logic upon reconnection.
+   * @param {number} [options.connectTimeout] - The time in milliseconds a connection attempt may take before it is aborted.
+   * @param {number} [options.maxConnectionAge] - The time in milliseconds after which a ready connection is rotated. The age of the current connection is counted again from now.
+   * @param {object} [options.failover] - Configuration for choosing between the URLs when `address` is a list.
+   * @param {function} [options.handshake] - An async hook run each time the connection opens, before event `ready` is emitted.
+   * @param {number} [options.handshakeTimeout] - The time in milliseconds the `handshake` hook may take.
+   * @param {'reconnect'|'close'} [options.handshakeFailure] - What to do when the `handshake` hook fails.
+   * @param {object} [options.request] - Configuration for `request()`.
+   * @param {object} [options.queue] - Configuration for buffering messages sent while the connection is not open.
+   * @param {object} [options.sequence] - Configuration for checking the sequence numbers of incoming messages. Sequence numbers are checked again from the next message.
+   * @param {string|object} [options.codec] - The codec which encodes sent data and decodes incoming messages.
+   * @param {object} [options.decompress] - Configuration for decompressing incoming binary messages.
+   * @param {object} [options.router] - Configuration for routing incoming messages.
+   * @param {object} [options.validate] - Validators of incoming and outgoing messages.
    */
   updateOptions(options) {
     if (options.hasOwnProperty('reconnect')) {
@@ -300,11 +808,77 @@ export class ForeverWebSocket extends EventEmitter {
     if (options.hasOwnProperty('ping')) {
       _.assignIn(this.#optionsExtended.ping, options.ping)
       this.#pingManager.update(options.ping)
+      this.#latencyManager.update({ windowSize: options.ping.latencyWindow })
     }
 
     if (options.hasOwnProperty('createWebSocket')) {
       this.#optionsExtended.createWebSocket = options.createWebSocket
     }
+
+    if (options.hasOwnProperty('connectTimeout')) {
+      this.#optionsExtended.connectTimeout = options.connectTimeout
+    }
+
+    if (options.hasOwnProperty('maxConnectionAge')) {
+      this.#optionsExtended.maxConnectionAge = options.maxConnectionAge
+      this.#ageManager?.stop()
+      this.#ageManager = undefined
+      this.#setupAgeManager()
+      if (this.#isReady()) {
+        this.#ageManager?.start()
+      }
+    }
+
+    for (const key of ['handshake', 'handshakeTimeout', 'handshakeFailure']) {
+      if (options.hasOwnProperty(key)) {
+        this.#optionsExtended[key] = options[key]
+      }
+    }
+
+    if (options.hasOwnProperty('request')) {
+      this.#optionsExtended.request = { ...this.#optionsExtended.request, ...options.request }
+      this.#requestManager.update(options.request)
+    }
+
+    if (options.hasOwnProperty('failover')) {
+      this.#optionsExtended.failover = { ...this.#optionsExtended.failover, ...options.failover }
+      this.#endpointManager.update(options.failover)
+      if (this.#isReady()) {
+        this.#scheduleRecovery()
+      }
+    }
+
+    if (options.hasOwnProperty('validate')) {
+      this.#optionsExtended.validate = options.validate && { ...this.#optionsExtended.validate, ...options.validate }
+    }
+
+    if (options.hasOwnProperty('router')) {
+      this.#optionsExtended.router = { ...this.#optionsExtended.router, ...options.router }
+    }
+
+    if (options.hasOwnProperty('decompress')) {
+      this.#optionsExtended.decompress = options.decompress && { ...this.#optionsExtended.decompress, ...options.decompress }
+    }
+
+    if (options.hasOwnProperty('codec')) {
+      this.#optionsExtended.codec = options.codec
+      this.#setupCodec()
+    }
+
+    if (options.hasOwnProperty('sequence')) {
+      this.#optionsExtended.sequence = options.sequence && { ...this.#optionsExtended.sequence, ...options.sequence }
+      this.#setupSequenceManager()
+    }
+
+    if (options.hasOwnProperty('queue')) {
+      if (this.#queueManager) {
+        _.assignIn(this.#optionsExtended.queue, options.queue)
+        this.#queueManager.update(options.queue)
+      } else {
+        this.#optionsExtended.queue = options.queue
+        this.#setupQueueManager()
+      }
+    }
   }
 
   #registerEventListener(eventName, listener, options, addListenerMethod) {
@@ -314,7 +888,8 @@ export class ForeverWebSocket extends EventEmitter {
   }
 
   #attachEventListener(eventName, listener, options, addListenerMethod) {
-    if (this.ws) {
+    // Listeners of event `message` are called by `#dispatchMessage()`
+    if (this.ws && eventName !== 'message') {
       if (options?.once) {
         this.ws.addEventListener(eventName, () => {
           let index = this.#listenersWebSocket[eventName].findIndex((elem) => elem.listener === listener && elem.options?.once)
@@ -356,62 +931,1113 @@ export class ForeverWebSocket extends EventEmitter {
     return this.ws?.readyState === WebSocket.OPEN
   }
 
-  #reattachConnectionManagers() {
-    // When WebSocket connection is open, restart ping and timeout managers, and reset the reconnect manager
-    this.ws.addEventListener('open', () => {
-      this.#pingManager?.start()
-      this.#timeoutManager?.start()
-      if (this.#reconnectManager) {
-        const retryNumber = this.#reconnectManager.retryNumber()
-        const lastConnectedMts = this.#reconnectManager.lastConnectedMts()
-        this.#reconnectManager.reset()
-        if (lastConnectedMts) {
-          this.emit('reconnected', retryNumber, lastConnectedMts)
-        }
-      }
-    })
+  /*
+    Whether the connection is open and the `handshake` hook, if any, has completed
+   */
+  #isReady() {
+    return this.#isWebSocketOpen() && this.#isHandshakeDone
+  }
 
-    // When a message is received, reset timeout manager
-    this.ws.addEventListener('message', () => {
-      this.#timeoutManager?.reset()
-    })
+  /*
+    Report pings left unanswered when the next ping is due, and close the connection if there are `ping.maxMissed` of them.
+    Returns true if the connection is being closed
+   */
+  #checkMissedPongs() {
+    const missed = this.#latencyManager.pendingPings()
+    if (missed === 0) {
+      return false
+    }
 
-    // When pong is received, refresh timeout manager
-    // Note: Not all WebSocket implementations support `on()` method and `pong` event
-    if (typeof this.ws.on === 'function') {
-      this.ws.on('pong',  (data) => {
-        this.#timeoutManager?.reset()
-      })
+    const { maxMissed, missedAction } = this.#optionsExtended.ping
+    this.emit('pongMissed', missed, maxMissed)
+    if (!(maxMissed > 0 && missed >= maxMissed)) {
+      return false
     }
 
-    // When WebSocket closes, stop ping and timeout managers and schedule next reconnect if reconnect manager is defined and not stopped manually.
-    this.ws.addEventListener('close', () => {
-      this.#pingManager?.stop()
-      this.#timeoutManager?.stop()
-      if (this.#reconnectManager && !this.#reconnectManager.isStopped()) {
-        this.#reconnectManager.scheduleNextConnect()
-      }
-    })
+    this.#pingManager.stop()
+    this.#setState(connectionStates.closing, 'pongMissed')
+    if (missedAction === 'terminate' && typeof this.ws.terminate === 'function') {
+      // Pending requests are rejected when the WebSocket emits `close`
+      this.ws.terminate()
+    } else {
+      this.refresh()
+    }
+
+    return true
   }
 
   /*
-    Attach registered event listeners to the new underlying WebSocket object
+    Whether pings are sent as ping frames, which are answered by pong frames
    */
-  #reattachEventListeners(){
-    for (const [eventName, listeners] of Object.entries(this.#listenersWebSocket)) {
-      for (const { listener, options, addListenerMethod } of listeners) {
-        this.#attachEventListener(eventName, listener, options, addListenerMethod)
+  #isPingFrame() {
+    const { pingFrame, frame } = this.#optionsExtended.ping ?? {}
+    return typeof this.ws?.ping === 'function' && !!(pingFrame ?? frame)
+  }
+
+  /*
+    Validate data, pass it to outbound middleware, if any, then send it with `sendFunction`. Returns a promise which settles once the data is sent,
+    and rejects with any error. Without outbound middleware, the data is sent right away
+   */
+  #send(data, sendFunction = (data) => this.#sendEncoded(data)) {
+    try {
+      this.#validateOutbound(data)
+      if (!this.#hasOutboundMiddleware()) {
+        sendFunction(data)
+        return Promise.resolve()
       }
+    } catch (error) {
+      return Promise.reject(error)
     }
+
+    // Keep the order of messages while middleware runs
+    const sent = this.#outboundChain.then(() => this.#applyOutboundMiddleware(data, sendFunction))
+    this.#outboundChain = sent.catch(() => {})
+    return sent
   }
 
   /*
-    Set event handler properties for the new underlying WebSocket object
+    Whether a middleware with an `outbound` hook is set, see `use()`
    */
-  #assignCustomEventHandlers() {
-    for (const eventHandlerName of ['onopen', 'onmessage', 'onerror', 'onclose']) {
-      if (this[eventHandlerName]) {
-        this.ws[eventHandlerName] = this[eventHandlerName]
+  #hasOutboundMiddleware() {
+    return this.#middlewares.some(({ outbound }) => outbound)
+  }
+
+  /*
+    Encode data and send it over `ws` right away, e.g. while the handshake runs
+   */
+  #sendOn(ws, data) {
+    ws.send(this.#encode(data))
+  }
+
+  /*
+    Encode data and send it, or buffer it if the `queue` option is set and the connection is not ready.
+    Data is not buffered once the connection is closed for good, as it would never be sent
+   */
+  #sendEncoded(data) {
+    const dataToSend = this.#encode(data)
+    if (this.#queueManager && !this.#isReady()) {
+      if (this.#state === connectionStates.closed || this.#state === connectionStates.gaveUp) {
+        throw new QueueError('Connection is closed, the message is not buffered', 'CLOSED', { data: dataToSend })
+      }
+
+      if (this.#queueManager.add(dataToSend)) {
+        this.emit('queued', dataToSend, this.#queueManager.length())
+      }
+
+      return
+    }
+
+    this.ws.send(dataToSend)
+  }
+
+  /*
+    Throw a `ValidationError` if data passed to `send()` is invalid according to `options.validate.outbound`, before outbound middleware runs
+   */
+  #validateOutbound(data) {
+    const validator = this.#optionsExtended.validate?.outbound
+    if (!validator) {
+      return
+    }
+
+    const validation = runValidator(validator, data)
+    if (typeof validation.then === 'function') {
+      throw new TypeError('Outbound validator must be synchronous')
+    }
+
+    if (!validation.valid) {
+      throw new ValidationError('Outgoing message is invalid', 'INVALID_MESSAGE', { errors: validation.errors, data })
+    }
+  }
+
+  /*
+    Convert data passed to `send()` to the data sent over the WebSocket
+   */
+  #encode(data) {
+    if (this.#codec) {
+      return this.#codec.encode(data)
+    }
+
+    return typeof data === 'object' && !isBinary(data) ? JSON.stringify(data) : data
+  }
+
+  /*
+    Decode an incoming message with the codec, if any, and emit event `data`, or event `decodeError` if it cannot be decoded
+   */
+  #decodeMessage(data, isBinary, decoded) {
+    if (!this.#codec) {
+      return decoded
+    }
+
+    if (!decoded) {
+      try {
+        decoded = { value: this.#codec.decode(data, isBinary) }
+      } catch (error) {
+        this.emit('decodeError', error, data)
+        return
+      }
+    }
+
+    this.emit('data', decoded.value, isBinary)
+    return decoded
+  }
+
+  /*
+    Pass a decoded message to the handlers of the routes which match it, or emit event `unrouted`.
+    Without codec, text messages are decoded as JSON; messages which cannot be decoded are not routed.
+    With codec `ndjson`, each line of the message is routed on its own
+   */
+  #routeMessage(data, decoded) {
+    if (this.#routerManager.size() === 0 || (this.#codec && !decoded)) {
+      return
+    }
+
+    const message = decoded ? decoded.value : parseJson(data)
+    if (message === undefined) {
+      return
+    }
+
+    if (this.#codec === codecs.ndjson) {
+      for (const item of message) {
+        this.#routeItem(item, data)
+      }
+    } else {
+      this.#routeItem(message, data)
+    }
+  }
+
+  /*
+    Pass a message to the handlers of the routes which match its key, or emit event `unrouted`
+   */
+  #routeItem(message, data) {
+    let key
+    try {
+      const { key: getKey = (message) => message?.type ?? message?.channel } = this.#optionsExtended.router ?? {}
+      key = getKey(message)
+    } catch (error) {
+      this.emit('error', error)
+      return
+    }
+
+    const routes = this.#routerManager.match(key, message)
+    if (routes.length === 0) {
+      this.emit('unrouted', message, data)
+      return
+    }
+
+    for (const { handler, validate } of routes) {
+      const callHandler = ({ valid, errors }) => {
+        if (!valid) {
+          this.emit('invalidMessage', message, errors, data)
+          return
+        }
+
+        try {
+          handler.call(this, message, key)
+        } catch (error) {
+          this.emit('error', error)
+        }
+      }
+
+      const validation = validate ? runValidator(validate, message) : { valid: true }
+      if (typeof validation.then === 'function') {
+        validation.then(callHandler)
+      } else {
+        callHandler(validation)
+      }
+    }
+  }
+
+  /*
+    Send a request with a correlation id using `sendFunction`, and return the promise of its response.
+    The request is rejected when `connection`, the WebSocket it is sent on, closes
+   */
+  #request(payload, { timeout, signal }, sendFunction, connection = this.ws) {
+    const {
+      generateId = () => ++this.#lastRequestId,
+      injectId = (data, id) => ({ ...data, id }),
+    } = this.#optionsExtended.request
+
+    const id = generateId()
+    const response = this.#requestManager.add(id, { timeout, signal, connection })
+    sendFunction(injectId(payload, id)).catch((error) => {
+      this.#requestManager.reject(id, new RequestError(`Failed to send request: ${error?.message}`, 'SEND_FAILED', { requestId: id, cause: error }))
+    })
+
+    return response
+  }
+
+  /*
+    Run the `handshake` hook on a newly opened WebSocket, and make the connection ready or close it. Returns the error if the hook failed, undefined otherwise
+   */
+  async #runHandshake(ws) {
+    const { handshake, handshakeFailure } = this.#optionsExtended
+    if (!handshake) {
+      this.#setReady('open')
+      return
+    }
+
+    this.#setState(connectionStates.handshaking, 'open')
+    let error = await this.#performHandshake(ws)
+    if (ws !== this.ws) {
+      return error ?? new HandshakeError('WebSocket was replaced before the handshake completed', 'CLOSED')
+    }
+
+    if (!error && ws.readyState !== WebSocket.OPEN) {
+      error = new HandshakeError('Connection closed before the handshake completed', 'CLOSED')
+    }
+
+    if (error) {
+      this.emit('error', error)
+      if (error.code === 'CLOSED') {
+        // The connection was lost, not refused by the hook: its `close` event schedules the next reconnect as usual
+        return error
+      }
+
+      if (handshakeFailure === 'close') {
+        this.close()
+      } else if (ws.readyState === WebSocket.OPEN) {
+        // Close the connection; its `close` event schedules the next reconnect with the backoff delay
+        this.#setState(connectionStates.closing, 'handshake')
+        ws.close()
+      }
+
+      return error
+    }
+
+    this.#setReady('ready')
+  }
+
+  /*
+    Run the `handshake` hook on `ws`, within `options.handshakeTimeout`. Returns a `HandshakeError` if the hook failed, undefined otherwise
+   */
+  async #performHandshake(ws) {
+    const { handshake, handshakeTimeout } = this.#optionsExtended
+    if (!handshake) {
+      return
+    }
+
+    const sendNow = (data) => this.#send(data, (data) => this.#sendOn(ws, data))
+    const context = {
+      ws,
+      send: sendNow,
+      request: (payload, { timeout, signal } = {}) => this.#request(payload, { timeout, signal }, sendNow, ws),
+    }
+
+    let timeoutId
+    let onClose
+    let error
+    try {
+      await Promise.race([
+        handshake(context),
+        new Promise((resolve, reject) => {
+          if (handshakeTimeout > 0) {
+            timeoutId = setTimeout(() => reject(new HandshakeError(`Handshake did not complete within ${handshakeTimeout}ms`, 'TIMEOUT')), handshakeTimeout)
+            timeoutId.unref?.()
+          }
+        }),
+        // Settle when the connection is lost, so that a hook which never settles does not hold `connect()` forever
+        new Promise((resolve, reject) => {
+          onClose = () => reject(new HandshakeError('Connection closed before the handshake completed', 'CLOSED'))
+          ws.addEventListener('close', onClose)
+        }),
+      ])
+    } catch (hookError) {
+      error = hookError instanceof HandshakeError ? hookError : new HandshakeError(`Handshake failed: ${hookError?.message}`, 'REJECTED', { cause: hookError })
+    } finally {
+      clearTimeout(timeoutId)
+      ws.removeEventListener('close', onClose)
+    }
+
+    return error
+  }
+
+  /*
+    The connection is open and the handshake has completed: reset reconnecting, send subscriptions and buffered messages, and emit `ready`
+   */
+  #setReady(reason) {
+    this.#isHandshakeDone = true
+    this.#reconnectManager?.reset()
+    this.#setState(connectionStates.open, reason)
+    this.#replaySubscriptions()
+    if (this.#hasOutboundMiddleware()) {
+      // The subscriptions are sent once outbound middleware has run on them: send the buffered messages after them
+      this.#outboundChain = this.#outboundChain.then(() => {
+        if (this.#isReady()) {
+          this.#flushQueue()
+        }
+      })
+    } else {
+      this.#flushQueue()
+    }
+    this.#ageManager?.start()
+    this.#scheduleRecovery()
+    this.emit('ready')
+  }
+
+  /*
+    Set state and emit `stateChange`
+   */
+  #setState(newState, reason) {
+    const oldState = this.#state
+    if (newState === oldState) {
+      return
+    }
+
+    this.#state = newState
+    if (newState === connectionStates.closed || newState === connectionStates.gaveUp) {
+      this.#endMessageConsumers()
+    }
+
+    this.emit('stateChange', newState, oldState, reason)
+  }
+
+  /*
+    Set state when the connection is closed by the user: `closing` until the WebSocket emits `close`, or `closed` if there is nothing to close
+   */
+  #setStateClosingOrClosed(reason) {
+    const isClosable = this.ws && this.ws.readyState !== WebSocket.CLOSED
+    this.#setState(isClosable ? connectionStates.closing : connectionStates.closed, reason)
+  }
+
+  /*
+    Schedule the next reconnect attempt, if the reconnect manager is defined and not stopped, and set state accordingly.
+    `cause` is the close event or error which ended the connection; it is omitted when the connection was closed on purpose, e.g. by `refresh()`
+   */
+  #scheduleReconnect(reason, cause) {
+    let isFatal = false
+    if (this.#reconnectManager && !this.#reconnectManager.isStopped()) {
+      const classification = cause === undefined ? 'retry' : this.#classifyDisconnect(cause)
+      isFatal = classification === 'fatal'
+      if (isFatal) {
+        this.#reconnectManager.giveUp(cause)
+      } else {
+        this.#reconnectManager.scheduleNextConnect(this.#lastError, { backoff: classification === 'backoff', minDelay: this.#getRetryHint(cause) })
+      }
+    }
+
+    if (this.#reconnectManager?.hasGivenUp()) {
+      this.#setState(connectionStates.gaveUp, isFatal ? 'fatal' : 'giveup')
+    } else if (this.#reconnectManager && !this.#reconnectManager.isStopped()) {
+      this.#setState(connectionStates.waiting, reason)
+    } else {
+      this.#setState(connectionStates.closed, reason)
+    }
+  }
+
+  /*
+    Decide whether and how to reconnect after the connection was lost or could not be opened, see `options.reconnect.shouldReconnect`
+   */
+  #classifyDisconnect(cause) {
+    const classification = classifyDisconnect(cause)
+    const shouldReconnect = this.#optionsExtended.reconnect?.shouldReconnect?.(cause, classification)
+    if (shouldReconnect === undefined) {
+      return classification
+    }
+
+    if (!shouldReconnect) {
+      return 'fatal'
+    }
+
+    return classification === 'fatal' ? 'retry' : classification
+  }
+
+  /*
+    Returns the delay in milliseconds the server asked to wait before reconnecting, from the `Retry-After` header of a rejected opening handshake
+    or from the reason of a close frame, see `options.reconnect.parseCloseReason`
+   */
+  #getRetryHint(cause) {
+    if (cause?.headers) {
+      return parseRetryAfter(cause.headers['retry-after'])
+    }
+
+    if (typeof cause?.code === 'number') {
+      return this.#optionsExtended.reconnect?.parseCloseReason?.(cause.reason, cause.code)
+    }
+  }
+
+  /*
+    Replace the underlying WebSocket with a new one. Used by `connect()` and by the reconnect manager
+   */
+  async #openWebSocket(reason) {
+    // Check if old WebSocket exists
+    if (this.ws) {
+      // Cleanup event listeners
+      this.#cleanupWebSocket()
+    }
+
+    // Stop ping, timout and age managers, will activate them again when WebSocket connection is open
+    this.#pingManager?.stop()
+    this.#timeoutManager?.stop()
+    this.#ageManager?.stop()
+    clearTimeout(this.#recoveryTimer)
+
+    // Create new WebSocket
+    this.#setState(connectionStates.connecting, reason)
+    try {
+      // Choose the endpoint; it is only awaited when it is resolved asynchronously, so that `this.ws` is otherwise created synchronously
+      let address = this.#nextEndpoint()
+      if (typeof address?.then === 'function') {
+        address = await address
+      }
+
+      if (this.#optionsExtended.createWebSocket) {
+        this.ws = await this.#optionsExtended.createWebSocket(address)
+      } else {
+        this.ws = new WebSocket(address, this.#protocol, this.#optionsWebSocket)
+      }
+    } catch (error) {
+      this.emit('error', error);
+      this.ws = null; // Set this.ws to null to indicate no connection
+      // Schedule reconnect if the option is on
+      this.#lastError = error
+      this.#scheduleReconnect('error', error)
+
+      throw new ConnectError(`Failed to create WebSocket: ${error?.message}`, 'CREATE_FAILED', { cause: error })
+    }
+
+    this.#isHandshakeDone = false
+    this.#reattachConnectionManagers()
+    this.#reattachEventListeners()
+    this.#assignCustomEventHandlers()
+    await this.#waitForOpen(this.ws)
+    const handshakeError = await this.#handshakeResult
+    if (handshakeError) {
+      throw handshakeError
+    }
+  }
+
+  /*
+    Choose the endpoint of the next connection attempt and emit `endpoint` if it changed.
+    The result is a promise only if `address` is a function returning a promise
+   */
+  #nextEndpoint() {
+    const previousEndpoint = this.#endpointManager.current()
+    const emitIfChanged = (address) => {
+      if (previousEndpoint !== undefined && address !== previousEndpoint) {
+        this.emit('endpoint', address, previousEndpoint)
+      }
+
+      return address
+    }
+
+    const address = this.#endpointManager.next()
+    return typeof address?.then === 'function' ? address.then(emitIfChanged) : emitIfChanged(address)
+  }
+
+  /*
+    Open a second WebSocket, run the handshake and send the subscriptions over it, then switch to it and close the current one. See `rotate()`
+   */
+  async #rotateWebSocket() {
+    const currentWs = this.ws
+    const isCurrent = () => this.ws === currentWs && this.#isReady()
+    let ws
+    try {
+      const address = await this.#nextEndpoint()
+      if (this.#optionsExtended.createWebSocket) {
+        ws = await this.#optionsExtended.createWebSocket(address)
+      } else {
+        ws = new WebSocket(address, this.#protocol, this.#optionsWebSocket)
+      }
+    } catch (error) {
+      this.#endpointManager.markAbandoned()
+      throw new ConnectError(`Failed to create WebSocket: ${error?.message}`, 'CREATE_FAILED', { cause: error })
+    }
+
+    // Until the new WebSocket is in use, settle the requests of the handshake hook, once decompressed if `options.decompress` is set,
+    // and ignore errors, which are reported by the returned promise
+    const onMessage = (event) => {
+      if (this.#optionsExtended.decompress && typeof event.data !== 'string') {
+        this.#decompressData(event.data).then((decompressed) => this.#settleRequest(decompressed), () => {})
+        return
+      }
+
+      this.#settleRequest(event.data)
+    }
+    const onError = () => {}
+    ws.addEventListener('message', onMessage)
+    ws.addEventListener('error', onError)
+    const subscriptionMessages = []
+    try {
+      await this.#waitForOpen(ws)
+      const handshakeError = isCurrent() ? await this.#performHandshake(ws) : undefined
+      if (handshakeError) {
+        throw handshakeError
+      }
+
+      // Run outbound middleware on the subscriptions beforehand, so that they can be sent in the tick of the switch
+      for (const { message } of this.#subscriptions.values()) {
+        try {
+          this.#validateOutbound(message)
+        } catch (error) {
+          this.emit('error', error)
+          continue
+        }
+
+        const transformed = await this.#transformOutbound(message)
+        if (transformed !== null) {
+          subscriptionMessages.push(transformed)
+        }
+      }
+
+      if (!isCurrent()) {
+        throw new ConnectError('Connection was closed or replaced while rotating', 'ROTATION_ABORTED')
+      }
+
+      if (ws.readyState !== WebSocket.OPEN) {
+        throw new HandshakeError('Connection closed before the handshake completed', 'CLOSED')
+      }
+    } catch (error) {
+      if (typeof ws.terminate === 'function') {
+        ws.terminate()
+      } else {
+        ws.close()
+      }
+
+      this.#requestManager.rejectAll((id) => new RequestError('Connection closed before a response was received', 'CONNECTION_CLOSED', { requestId: id }), ws)
+      if (this.ws === currentWs) {
+        this.#endpointManager.markAbandoned()
+      }
+
+      throw error
+    }
+
+    // Send the subscriptions, then switch in the same tick, so that no message of the new WebSocket is missed
+    this.#replaySubscriptions((message) => this.#sendOn(ws, message), subscriptionMessages)
+    this.#cleanupWebSocket()
+    this.ws = ws
+    this.#isHandshakeDone = true
+    this.#handshakeResult = undefined
+    this.#reattachConnectionManagers()
+    this.#reattachEventListeners()
+    this.#assignCustomEventHandlers()
+    ws.removeEventListener('message', onMessage)
+    ws.removeEventListener('error', onError)
+
+    this.#endpointManager.markOpen()
+    this.#latencyManager?.reset()
+    if (this.#optionsExtended.sequence?.resetOnReconnect) {
+      this.#sequenceManager.reset()
+    }
+    this.#pingManager?.stop()
+    this.#pingManager?.start()
+    this.#timeoutManager?.start()
+    this.#ageManager?.start()
+    this.#scheduleRecovery()
+    this.emit('rotated', this.endpoint)
+    this.emit('ready')
+  }
+
+  /*
+    While connected to another URL than the primary one with failover policy `priority`, rotate back to the primary URL once `recoveryInterval`
+    has elapsed. If the primary URL cannot be reached, the current connection is kept and the primary URL is tried again after `recoveryInterval`
+   */
+  #scheduleRecovery() {
+    clearTimeout(this.#recoveryTimer)
+    const delay = this.#endpointManager.recoveryDelay()
+    if (delay === undefined) {
+      return
+    }
+
+    this.#recoveryTimer = setTimeout(() => {
+      if (!this.#isReady()) {
+        return
+      }
+
+      this.rotate().catch((error) => {
+        this.emit('error', error)
+        if (this.#isReady()) {
+          this.#scheduleRecovery()
+        }
+      })
+    }, delay)
+    this.#recoveryTimer.unref?.()
+  }
+
+  /*
+    Returns a promise which settles when the connection attempt of `ws` succeeds or fails
+   */
+  #waitForOpen(ws) {
+    return new Promise((resolve, reject) => {
+      let timeoutId
+      const settle = (error) => {
+        clearTimeout(timeoutId)
+        ws.removeEventListener('open', onOpen)
+        ws.removeEventListener('error', onError)
+        ws.removeEventListener('close', onClose)
+        if (error) {
+          reject(error)
+        } else {
+          resolve()
+        }
+      }
+
+      const onOpen = () => settle()
+      const onError = (event) => {
+        const cause = event?.error ?? event
+        settle(new ConnectError(`WebSocket handshake failed: ${cause?.message ?? 'unknown error'}`, 'HANDSHAKE_FAILED', { cause }))
+      }
+
+      const onClose = (event) => {
+        settle(new ConnectError(`WebSocket closed before it was open (code ${event?.code})`, 'CLOSED_BEFORE_OPEN', { closeCode: event?.code, reason: event?.reason }))
+      }
+
+      ws.addEventListener('open', onOpen)
+      ws.addEventListener('error', onError)
+      ws.addEventListener('close', onClose)
+
+      if (this.#optionsExtended.connectTimeout > 0) {
+        const connectTimeout = this.#optionsExtended.connectTimeout
+        timeoutId = setTimeout(() => {
+          settle(new ConnectError(`WebSocket was not open within ${connectTimeout}ms`, 'CONNECT_TIMEOUT'))
+          // Abort the attempt; its `close` event schedules the next reconnect
+          if (ws === this.ws && ws.readyState === WebSocket.CONNECTING) {
+            if (typeof ws.terminate === 'function') {
+              ws.terminate()
+            } else {
+              ws.close()
+            }
+          }
+        }, connectTimeout)
+        timeoutId.unref?.()
+      }
+    })
+  }
+
+  #reattachConnectionManagers() {
+    const ws = this.ws
+
+    // When WebSocket connection is open, restart ping and timeout managers and run the handshake.
+    // The reconnect manager is reset when the handshake has completed, so that failing handshakes are retried with increasing delays.
+    this.ws.addEventListener('open', () => {
+      this.#lastError = undefined
+      this.#endpointManager.markOpen()
+      this.#latencyManager?.reset()
+      if (this.#optionsExtended.sequence?.resetOnReconnect) {
+        this.#sequenceManager.reset()
+      }
+      this.#pingManager?.start()
+      this.#timeoutManager?.start()
+      if (this.#reconnectManager) {
+        const retryNumber = this.#reconnectManager.retryNumber()
+        const lastConnectedMts = this.#reconnectManager.lastConnectedMts()
+        if (lastConnectedMts) {
+          this.emit('reconnected', retryNumber, lastConnectedMts)
+          this.#pushMarker({ type: 'reconnected', retryNumber, lastConnectedMts })
+        }
+      }
+
+      this.#handshakeResult = this.#runHandshake(ws)
+    })
+
+    // Remember errors, so that the reason of failed connection attempts can be reported when reconnecting gives up
+    this.ws.addEventListener('error', (event) => {
+      this.#lastError = event?.error ?? event
+    })
+
+    // When a message is received, reset timeout manager, settle the request it responds to, measure latency if it answers an application ping,
+    // and pass it on to `message` listeners. Responses to requests are still received from a WebSocket which has been replaced (see `rotate()`)
+    const onMessage = (message) => {
+      this.#timeoutManager?.reset()
+      // Binary messages to be decompressed are handled once decompressed, see `#decompressMessage()`
+      if (!this.#optionsExtended.decompress || !message.isBinary) {
+        this.#handleResponse(message.data)
+      }
+
+      if (ws === this.ws) {
+        this.#inboundManager.push(message)
+      }
+    }
+
+    if (typeof this.ws.on === 'function') {
+      // Node.js `ws` passes text as a Buffer to `on()` listeners, and as a string to `addEventListener()` listeners
+      this.ws.on('message', (rawData, isBinary) => onMessage({ data: isBinary ? rawData : rawData.toString(), rawData, isBinary, receivedAt: Date.now() }))
+    } else {
+      this.ws.addEventListener('message', (event) => onMessage({ data: event.data, isBinary: typeof event.data !== 'string', receivedAt: Date.now() }))
+    }
+
+    // When pong is received, refresh timeout manager
+    // Note: Not all WebSocket implementations support `on()` method and `pong` event
+    if (typeof this.ws.on === 'function') {
+      // When the server answers the opening handshake with an HTTP error, fail the attempt with an error carrying the status and headers,
+      // which are used to decide whether to reconnect
+      this.ws.on('unexpected-response', (request, response) => {
+        const { statusCode, headers } = response
+        request.destroy(new ConnectError(`Unexpected server response: ${statusCode}`, 'UNEXPECTED_RESPONSE', { statusCode, headers }))
+      })
+
+      this.ws.on('pong',  (data) => {
+        this.#timeoutManager?.reset()
+        if (this.#isPingFrame()) {
+          this.#latencyManager?.pongReceived()
+        }
+      })
+    }
+
+    // When WebSocket closes, stop ping and timeout managers and schedule next reconnect if reconnect manager is defined and not stopped manually.
+    // A WebSocket which has already been replaced by a new one (see `connect()`) must not schedule a reconnect.
+    this.ws.addEventListener('close', (event) => {
+      if (ws !== this.ws) {
+        // The WebSocket was replaced, e.g. by `rotate()`: the requests sent on it can no longer be answered
+        this.#requestManager.rejectAll((id) => new RequestError('Connection closed before a response was received', 'CONNECTION_CLOSED', { requestId: id }), ws)
+        return
+      }
+
+      // Connections closed on purpose (state `closing`) are reconnected as usual; otherwise the reconnect depends on why the connection was lost
+      const isClosedOnPurpose = this.#state === connectionStates.closing
+      const cause = this.#lastError?.statusCode !== undefined ? this.#lastError : event
+      this.#isHandshakeDone = false
+      this.#pingManager?.stop()
+      this.#timeoutManager?.stop()
+      this.#ageManager?.stop()
+      clearTimeout(this.#recoveryTimer)
+      this.#requestManager.rejectAll((id) => new RequestError('Connection closed before a response was received', 'CONNECTION_CLOSED', { requestId: id }))
+      this.#scheduleReconnect('close', isClosedOnPurpose ? undefined : cause)
+    })
+  }
+
+  /*
+    Process an incoming message: decompress it if it is binary and `options.decompress` is set, run inbound middleware, then check its sequence number.
+    Returns a promise while the message is being decompressed or processed by middleware, which holds back the following messages
+   */
+  #processMessage(message) {
+    if (this.#optionsExtended.decompress && message.isBinary) {
+      return this.#decompressMessage(message)
+    }
+
+    return this.#applyInboundMiddleware(message)
+  }
+
+  /*
+    Run the inbound hooks of middleware on an incoming message, in order, then check its sequence number unless a hook dropped it
+   */
+  #applyInboundMiddleware(message) {
+    const hooks = this.#middlewares.filter(({ inbound }) => inbound).map(({ inbound }) => inbound)
+    if (hooks.length === 0) {
+      return this.#checkSequence(message)
+    }
+
+    return (async () => {
+      let current = { meta: {}, ...message }
+      for (const hook of hooks) {
+        const result = await hook(current)
+        if (result === null) {
+          return
+        }
+
+        if (result !== undefined) {
+          // Listeners added with `on()` receive the raw data only if it has not been replaced
+          current = result.data === current.data ? result : { ...result, rawData: undefined }
+        }
+      }
+
+      return this.#checkSequence(current)
+    })()
+  }
+
+  /*
+    Run the outbound hooks of middleware on data passed to `send()`, in order, then send it with `sendFunction` unless a hook dropped it
+   */
+  async #applyOutboundMiddleware(data, sendFunction) {
+    const transformed = await this.#transformOutbound(data)
+    if (transformed !== null) {
+      sendFunction(transformed)
+    }
+  }
+
+  /*
+    Run the outbound hooks on data, and return the data to send, or null if a hook dropped it
+   */
+  async #transformOutbound(data) {
+    let current = data
+    for (const { outbound } of this.#middlewares) {
+      if (!outbound) {
+        continue
+      }
+
+      const result = await outbound(current)
+      if (result === null) {
+        return null
+      }
+
+      if (result !== undefined) {
+        current = result
+      }
+    }
+
+    return current
+  }
+
+  /*
+    Decompress binary data according to `options.decompress`
+   */
+  #decompressData(data) {
+    const { format, maxSize = 10 * 1024 * 1024 } = this.#optionsExtended.decompress
+    return decompress(data, { format, maxSize })
+  }
+
+  /*
+    Decompress a binary message and pass it on as text, or as binary data with `decompress.output` set to `'binary'`.
+    Messages which cannot be decompressed are dropped, and reported by event `decodeError`
+   */
+  async #decompressMessage(message) {
+    const { output = 'text' } = this.#optionsExtended.decompress
+    let decompressed
+    try {
+      decompressed = await this.#decompressData(message.data)
+    } catch (error) {
+      this.emit('decodeError', error, message.data)
+      return
+    }
+
+    if (output === 'binary') {
+      this.#handleResponse(decompressed)
+      return this.#applyInboundMiddleware({ data: decompressed, isBinary: true, receivedAt: message.receivedAt })
+    }
+
+    const text = new TextDecoder().decode(decompressed)
+    this.#handleResponse(text)
+    return this.#applyInboundMiddleware({ data: text, rawData: decompressed, isBinary: false, receivedAt: message.receivedAt })
+  }
+
+  /*
+    Settle the request an incoming message responds to, and measure latency if it answers an application ping
+   */
+  #handleResponse(data) {
+    this.#settleRequest(data)
+    if (!this.#isPingFrame() && this.#optionsExtended.ping?.pongMatcher?.(data)) {
+      this.#latencyManager?.pongReceived()
+    }
+  }
+
+  /*
+    Check the sequence number of an incoming message and pass it on to `message` listeners, unless it is a duplicate or out of order.
+    When messages are missing, returns the promise of the `sequence.resync` hook, which holds back the following messages
+   */
+  #checkSequence(message) {
+    const sequence = this.#optionsExtended.sequence?.extract(message.data)
+    if (sequence === undefined) {
+      return this.#validateInbound(message)
+    }
+
+    const { status, from, to } = this.#sequenceManager.check(sequence)
+    if (status === 'covered') {
+      // Replaced by the resync, e.g. a message held back while the `sequence.resync` hook was pending
+      return
+    }
+
+    if (status === 'duplicate' || status === 'outOfOrder') {
+      this.emit(status, sequence, message.data)
+      return
+    }
+
+    if (status === 'gap') {
+      this.emit('gap', from, to)
+      this.#pushMarker({ type: 'gap', from, to })
+      if (this.#optionsExtended.sequence.resync) {
+        return this.#resync({ from, to }, message, sequence)
+      }
+    }
+
+    return this.#validateInbound(message)
+  }
+
+  /*
+    Run the `sequence.resync` hook for missing messages, then pass on the message which revealed the gap unless the resync covers it
+   */
+  async #resync({ from, to }, message, sequence) {
+    let resyncSequence
+    try {
+      resyncSequence = await this.#optionsExtended.sequence.resync({ from, to })
+    } catch (error) {
+      this.emit('error', error)
+    }
+
+    if (typeof resyncSequence !== 'number') {
+      return this.#validateInbound(message)
+    }
+
+    this.#sequenceManager.set(resyncSequence)
+    if (sequence > resyncSequence) {
+      return this.#checkSequence(message)
+    }
+  }
+
+  /*
+    Validate an incoming message with `options.validate.inbound`, once decoded by the codec or, if it is not set, as JSON, and pass it on if it is valid.
+    Invalid messages are dropped and emitted as event `invalidMessage`. Messages which cannot be decoded, e.g. text which is not JSON or a `Blob`,
+    are passed on without validation; with a codec, event `decodeError` is then emitted as usual. Returns a promise if the validator is async, which holds back the following messages
+   */
+  #validateInbound(message) {
+    const validator = this.#optionsExtended.validate?.inbound
+    if (!validator) {
+      this.#dispatchMessage(message)
+      return
+    }
+
+    let value
+    try {
+      value = this.#codec
+        ? this.#codec.decode(message.data, message.isBinary)
+        : JSON.parse(typeof message.data === 'string' ? message.data : new TextDecoder().decode(message.data))
+    } catch (error) {
+      this.#dispatchMessage(message)
+      return
+    }
+
+    const passOn = ({ valid, errors }) => {
+      if (valid) {
+        this.#dispatchMessage({ ...message, decoded: { value } })
+      } else {
+        this.emit('invalidMessage', value, errors, message.data)
+      }
+    }
+
+    const validation = runValidator(validator, value)
+    if (typeof validation.then === 'function') {
+      return validation.then(passOn)
+    }
+
+    passOn(validation)
+  }
+
+  /*
+    Pass an incoming message to the listeners of event `message` and to `onmessage`: listeners added with `addEventListener()` receive an event,
+    listeners added with `on()` or `once()` receive the data and whether it is binary, as Node.js `ws` does.
+    Then pass it to the iterators created by `messages()`, emit it as events `frame` and `data`, and route it
+   */
+  #dispatchMessage({ data, rawData = data, isBinary, receivedAt, meta, decoded }) {
+    let event
+    const getEvent = () => event ??= createMessageEvent(data)
+    const call = (listener, ...args) => {
+      try {
+        if (typeof listener === 'function') {
+          listener.apply(this, args)
+        } else {
+          listener.handleEvent(...args)
+        }
+      } catch (error) {
+        this.emit('error', error)
+      }
+    }
+
+    for (const { listener, options, addListenerMethod } of [...(this.#listenersWebSocket.message ?? [])]) {
+      if (options?.once) {
+        this.off('message', listener)
+      }
+
+      if (addListenerMethod === addListenerMethods.addEventListener) {
+        call(listener, getEvent())
+      } else {
+        call(listener, rawData, isBinary)
+      }
+    }
+
+    if (this.onmessage) {
+      call(this.onmessage, getEvent())
+    }
+
+    for (const { buffer, markers } of this.#messageConsumers) {
+      buffer.push(markers ? { type: 'message', data } : data)
+    }
+
+    if (this.listenerCount('frame') > 0) {
+      this.emit('frame', createFrame({ data, isBinary, receivedAt, meta }))
+    }
+
+    this.#routeMessage(data, this.#decodeMessage(data, isBinary, decoded))
+  }
+
+  /*
+    Pass a marker to the consumers created by `messages()` with option `markers`
+   */
+  #pushMarker(marker) {
+    for (const { buffer, markers } of this.#messageConsumers) {
+      if (markers) {
+        buffer.push(marker)
+      }
+    }
+  }
+
+  /*
+    End the consumers created by `messages()`, when no more messages will be received
+   */
+  #endMessageConsumers() {
+    for (const { buffer } of this.#messageConsumers) {
+      buffer.end()
+    }
+
+    this.#messageConsumers.clear()
+  }
+
+  /*
+    Resolve the pending request an incoming message responds to, if any
+   */
+  #settleRequest(data) {
+    if (this.#requestManager.size() === 0) {
+      return
+    }
+
+    const message = parseJson(data)
+    if (message === undefined) {
+      return
+    }
+
+    const { extractId = (response) => response?.id } = this.#optionsExtended.request
+    const id = extractId(message)
+    if (id !== undefined) {
+      this.#requestManager.resolve(id, message)
+    }
+  }
+
+  /*
+    Send the messages of all registered subscriptions, or `messages` if given, with `send()` unless another send function is given.
+    A message which cannot be sent does not stop the others
+   */
+  #replaySubscriptions(sendFunction = (message) => this.send(message), messages = [...this.#subscriptions.values()].map(({ message }) => message)) {
+    for (const message of messages) {
+      try {
+        sendFunction(message)
+      } catch (error) {
+        this.emit('error', error)
+      }
+    }
+  }
+
+  /*
+    Send messages buffered while the connection was not open
+   */
+  #flushQueue() {
+    if (!this.#queueManager?.length()) {
+      return
+    }
+
+    try {
+      const count = this.#queueManager.flush((data) => this.ws.send(data))
+      this.emit('flushed', count)
+    } catch (error) {
+      this.emit('error', error)
+    }
+  }
+
+  /*
+    Attach registered event listeners to the new underlying WebSocket object
+   */
+  #reattachEventListeners(){
+    for (const [eventName, listeners] of Object.entries(this.#listenersWebSocket)) {
+      for (const { listener, options, addListenerMethod } of listeners) {
+        this.#attachEventListener(eventName, listener, options, addListenerMethod)
+      }
+    }
+  }
+
+  /*
+    Set event handler properties for the new underlying WebSocket object
+   */
+  #assignCustomEventHandlers() {
+    // `onmessage` is called by `#dispatchMessage()`
+    for (const eventHandlerName of ['onopen', 'onerror', 'onclose']) {
+      if (this[eventHandlerName]) {
+        this.ws[eventHandlerName] = this[eventHandlerName]
       }
     }
   }
@@ -454,7 +2080,7 @@ export class ForeverWebSocket extends EventEmitter {
    * Separates and stores address, protocol, and options for further use in the class.
    * This method sets up the initial configuration based on the provided parameters.
    *
-   * @param {string} address - The URL to which the WebSocket should connect.
+   * @param {string|string[]|function} address - The URL to which the WebSocket should connect, a list of URLs, or a function returning the URL.
    * @param {string|string[]} protocol - Optional. One or more subprotocols as a string or array of strings.
    * @param {object} [options] - Optional configuration options for both the WebSocket and extended functionalities like reconnection, ping, etc.
    * @private
@@ -516,6 +2142,19 @@ export class ForeverWebSocket extends EventEmitter {
     }
   }
 
+  /**
+   * Sets up the endpoint manager which chooses the URL of each connection attempt.
+   * When `address` is a list of URLs, the manager fails over between them following `options.failover.policy`.
+   *
+   * @private
+   */
+  #setupEndpointManager() {
+    this.#endpointManager = createEndpointFactory({
+      ...this.#optionsExtended.failover,
+      address: this.#address,
+    })
+  }
+
   /**
    * Sets up the reconnection manager based on the options provided to the constructor.
    * This manager handles automatic reconnection attempts following disconnections,
@@ -530,10 +2169,14 @@ export class ForeverWebSocket extends EventEmitter {
         this.#optionsExtended.reconnect,
         (retryNumber, lastConnectionTimestamp) => {
           this.emit('connecting', retryNumber, lastConnectionTimestamp)
-          this.connect()
+          this.#connectAttempt = this.#openWebSocket('reconnect')
+          this.#connectAttempt.catch(() => {})
         },
         (retryNumber, delay) => {
           this.emit('delay', retryNumber, delay)
+        },
+        (retryNumber, elapsed, lastError) => {
+          this.emit('giveup', retryNumber, elapsed, lastError)
         }
       )
     }
@@ -548,16 +2191,33 @@ export class ForeverWebSocket extends EventEmitter {
    */
   #setupPingManager() {
     if (this.#optionsExtended.ping) {
+      this.#latencyManager = createLatencyFactory(
+        {
+          windowSize: this.#optionsExtended.ping.latencyWindow,
+        },
+        (rtt) => {
+          this.emit('latency', rtt)
+        }
+      )
       this.#pingManager = createPingFactory(
         {
           interval: this.#optionsExtended.ping.interval,
         },
         () => {
           if (this.readyState === 1) {
-            if (typeof this.ping === 'function' && this.#optionsExtended.ping.frame) {
+            if (this.#checkMissedPongs()) {
+              return
+            }
+
+            // Application pings are sent directly, so that they are not held back by the `queue` option during the handshake
+            if (this.#isPingFrame()) {
               this.ping(this.#optionsExtended.ping.data, this.#optionsExtended.ping.mask)
+              this.#latencyManager.pingSent()
             } else {
-              this.send(this.#optionsExtended.ping.data)
+              this.ws.send(this.#encode(this.#optionsExtended.ping.data))
+              if (this.#optionsExtended.ping.pongMatcher) {
+                this.#latencyManager.pingSent()
+              }
             }
           }
         }
@@ -582,9 +2242,107 @@ export class ForeverWebSocket extends EventEmitter {
         },
         (lastActiveMts) => {
           this.emit('timeout', lastActiveMts)
+          this.#setState(connectionStates.closing, 'timeout')
           this.refresh()
         }
       )
     }
   }
+
+  /**
+   * Creates the age manager that rotates the connection once it has been ready for `options.maxConnectionAge` milliseconds.
+   * This manager is activated only if the option is explicitly provided.
+   *
+   * @private
+   */
+  #setupAgeManager() {
+    if (this.#optionsExtended.maxConnectionAge > 0) {
+      this.#ageManager = createTimeoutFactory(
+        {
+          timeout: this.#optionsExtended.maxConnectionAge
+        },
+        () => {
+          this.rotate().catch((error) => this.emit('error', error))
+        }
+      )
+    }
+  }
+
+  /**
+   * Creates the inbound manager which passes incoming messages to `message` listeners one at a time, in the order they are received,
+   * holding them back while the processing of a previous message is pending (e.g. the `sequence.resync` hook).
+   *
+   * @private
+   */
+  #setupInboundManager() {
+    this.#inboundManager = createInboundFactory(
+      (message) => this.#processMessage(message),
+      (error) => {
+        this.emit('error', error)
+      }
+    )
+  }
+
+  /**
+   * Creates the sequence manager that checks the sequence numbers of incoming messages.
+   * This manager is activated only if sequence options are explicitly provided.
+   *
+   * @private
+   */
+  #setupSequenceManager() {
+    if (this.#optionsExtended.sequence) {
+      this.#sequenceManager = createSequenceFactory()
+    }
+  }
+
+  /**
+   * Resolves the codec set by `options.codec`, which may be the name of a built-in codec.
+   *
+   * @private
+   * @throws {TypeError} If `options.codec` is not the name of a built-in codec.
+   */
+  #setupCodec() {
+    const { codec } = this.#optionsExtended
+    if (typeof codec === 'string' && !codecs.hasOwnProperty(codec)) {
+      throw new TypeError(`Unknown codec '${codec}'`)
+    }
+
+    this.#codec = typeof codec === 'string' ? codecs[codec] : codec
+  }
+
+  /**
+   * Creates the router manager which holds the routes added with `route()`.
+   *
+   * @private
+   */
+  #setupRouterManager() {
+    this.#routerManager = createRouterFactory()
+  }
+
+  /**
+   * Creates the queue manager that buffers messages sent while the WebSocket connection is not open.
+   * Buffered messages are sent in order as soon as the connection opens.
+   * This manager is activated only if queue options are explicitly provided.
+   *
+   * @private
+   */
+  #setupQueueManager() {
+    if (this.#optionsExtended.queue) {
+      this.#queueManager = createQueueFactory(
+        this.#optionsExtended.queue,
+        (data, reason) => {
+          this.emit('dropped', data, reason)
+        }
+      )
+    }
+  }
+
+  /**
+   * Creates the request manager which keeps track of the requests sent by `request()` until their response is received.
+   *
+   * @private
+   */
+  #setupRequestManager() {
+    this.#requestManager = createRequestFactory(this.#optionsExtended.request)
+  }
 }
@@ -0,0 +1,291 @@
+import { ForeverWebSocket, connectionStates } from './index.mjs'
+import { isObject } from './utils/isObject.mjs'
+import { parseJson } from './utils/parseJson.mjs'
+import { createRequestFactory } from './factories/requestFactory.mjs'
+import { JsonRpcError, RequestError } from './errors.mjs'
+
+export { JsonRpcError, RequestError } from './errors.mjs'
+
+/**
+ * This class represents a reconnecting JSON-RPC 2.0 client. It extends ForeverWebSocket.
+ *
+ * It supports calls, notifications and batches, and server subscriptions (e.g. Ethereum `eth_subscribe`)
+ * which are re-established each time the connection is ready.
+ * The id returned by the first subscription is kept for the lifetime of the subscription, the ids returned
+ * when re-subscribing are mapped to it.
+ */
+export class JsonRpcForeverWebSocket extends ForeverWebSocket {
+  #optionsJsonRpc
+  #requestManager
+  #lastRequestId = 0
+  // stores server subscriptions by the id returned when first subscribing
+  #rpcSubscriptions = new Map()
+  // maps the current subscription ids (as returned by the last subscribe call) to the ids returned when first subscribing
+  #rpcSubscriptionIds = new Map()
+  // maps the ids of pending subscribe requests to their subscription and, when re-subscribing, to the id returned when first subscribing
+  #pendingSubscribes = new Map()
+
+  /**
+   * Constructs a new reconnecting JSON-RPC 2.0 client.
+   *
+   * @param {string|string[]|function} address - The URL to which the WebSocket should connect. See `ForeverWebSocket`.
+   * @param {string|string[]} [protocol] - Optional. One or more subprotocols as a string or array of strings.
+   * @param {object} [options] - An optional object containing configuration options. All `ForeverWebSocket` options are supported.
+   *
+   * @param {object} [options.jsonRpc] - Configuration for JSON-RPC.
+   * @param {number} [options.jsonRpc.timeout=10000] - The time in milliseconds to wait for a response. `0` disables the timeout.
+   * @param {string} [options.jsonRpc.subscribeMethod='eth_subscribe'] - The default method used by `rpcSubscribe()`.
+   * @param {string} [options.jsonRpc.unsubscribeMethod='eth_unsubscribe'] - The default method used by `rpcUnsubscribe()`.
+   *
+   * @example
+   * const ws = new JsonRpcForeverWebSocket('wss://ethereum.example.com', { jsonRpc: { timeout: 5000 } });
+   *
+   * const blockNumber = await ws.call('eth_blockNumber');
+   * const subscriptionId = await ws.rpcSubscribe(['newHeads'], (head) => console.log(head.number));
+   */
+  constructor(address, protocol, options) {
+    const isProtocolOmitted = isObject(protocol)
+    const { jsonRpc, ...optionsForeverWebSocket } = (isProtocolOmitted ? protocol : options) ?? {}
+    super(address, isProtocolOmitted ? optionsForeverWebSocket : protocol, isProtocolOmitted ? undefined : optionsForeverWebSocket)
+    this.#optionsJsonRpc = {
+      timeout: 10000,
+      subscribeMethod: 'eth_subscribe',
+      unsubscribeMethod: 'eth_unsubscribe',
+      ...jsonRpc,
+    }
+    this.#requestManager = createRequestFactory({ timeout: this.#optionsJsonRpc.timeout })
+    this.addEventListener('message', (event) => this.#handleMessage(event.data))
+    this.addEventListener('rotated', () => this.#handleRotated())
+    this.addEventListener('ready', () => this.#resubscribe())
+    this.addEventListener('close', () => this.#handleClose())
+  }
+
+  /**
+   * Calls a method and waits for its result.
+   *
+   * @param {string} method - The name of the method.
+   * @param {Array|Object} [params] - The parameters of the method.
+   * @param {object} [options]
+   * @param {number} [options.timeout] - The time in milliseconds to wait for the response, overriding `options.jsonRpc.timeout`.
+   * @param {AbortSignal} [options.signal] - A signal which aborts the call.
+   * @returns {Promise<*>} A promise which resolves with the `result` member of the response.
+   * @throws {JsonRpcError} The promise rejects if the response has an `error` member.
+   * @throws {RequestError} The promise rejects if the call times out, is aborted, cannot be sent, or if the connection closes, is refreshed or is rotated first.
+   */
+  call(method, params, { timeout, signal } = {}) {
+    const request = this.#createRequest(method, params)
+    const response = this.#requestManager.add(request.id, { timeout, signal })
+    this.#sendRequest(request, [request.id])
+    return response
+  }
+
+  /**
+   * Sends a notification, i.e. a call without id for which the server sends no response.
+   *
+   * @param {string} method - The name of the method.
+   * @param {Array|Object} [params] - The parameters of the method.
+   * @returns {Promise<void>} A promise which resolves once the notification is sent. See `ForeverWebSocket.send()`.
+   */
+  notify(method, params) {
+    return this.send(this.#createNotification(method, params))
+  }
+
+  /**
+   * Sends several calls and notifications in one batch.
+   *
+   * @param {Array<{method: string, params?: Array|Object, notification?: boolean}>} calls - The calls. Entries with `notification: true` are sent as notifications.
+   * @param {object} [options]
+   * @param {number} [options.timeout] - The time in milliseconds to wait for the responses, overriding `options.jsonRpc.timeout`.
+   * @param {AbortSignal} [options.signal] - A signal which aborts the calls.
+   * @returns {Promise<Array<{status: string, value?: *, reason?: Error}>>} A promise which resolves, in the shape of `Promise.allSettled()`,
+   *   with the outcome of each call which is not a notification, in the order of `calls`.
+   *
+   * @example
+   * const [balance, nonce] = await ws.batch([
+   *   { method: 'eth_getBalance', params: [address, 'latest'] },
+   *   { method: 'eth_getTransactionCount', params: [address, 'latest'] },
+   * ]);
+   */
+  batch(calls, { timeout, signal } = {}) {
+    const messages = calls.map(({ method, params, notification }) => notification ? this.#createNotification(method, params) : this.#createRequest(method, params))
+    const requestIds = messages.filter((message) => message.id !== undefined).map(({ id }) => id)
+    const responses = requestIds.map((id) => this.#requestManager.add(id, { timeout, signal }))
+    this.#sendRequest(messages, requestIds)
+    return Promise.allSettled(responses)
+  }
+
+  /**
+   * Subscribes to server notifications, e.g. with Ethereum `eth_subscribe`. The subscription is re-established each time
+   * the connection is ready, and its notifications keep being reported with the id returned by this first call.
+   *
+   * Notifications are emitted as event `subscription` and passed to `handler`.
+   *
+   * @param {Array|Object} params - The parameters of the subscribe method, e.g. `['newHeads']`.
+   * @param {function} [handler] - Called with the `result` of each notification.
+   * @param {object} [options]
+   * @param {string} [options.subscribeMethod] - The subscribe method, overriding `options.jsonRpc.subscribeMethod`.
+   * @param {string} [options.unsubscribeMethod] - The unsubscribe method, overriding `options.jsonRpc.unsubscribeMethod`.
+   * @returns {Promise<*>} A promise which resolves with the subscription id.
+   */
+  async rpcSubscribe(params, handler, { subscribeMethod = this.#optionsJsonRpc.subscribeMethod, unsubscribeMethod = this.#optionsJsonRpc.unsubscribeMethod } = {}) {
+    const request = this.#createRequest(subscribeMethod, params)
+    const response = this.#requestManager.add(request.id)
+    const subscription = { params, handler, subscribeMethod, unsubscribeMethod }
+    // The subscription is registered when its response is received, before notifications which may follow it in the same tick
+    this.#pendingSubscribes.set(request.id, { subscription })
+    this.#sendRequest(request, [request.id])
+    try {
+      return await response
+    } finally {
+      this.#pendingSubscribes.delete(request.id)
+    }
+  }
+
+  /**
+   * Cancels a subscription created with `rpcSubscribe()`.
+   *
+   * @param {*} subscriptionId - The id returned by `rpcSubscribe()`.
+   * @returns {Promise<*>} A promise which resolves with the result of the unsubscribe method, or with `false` if the subscription does not exist.
+   *   If the connection is not open, the subscription is removed without calling the unsubscribe method.
+   */
+  async rpcUnsubscribe(subscriptionId) {
+    const subscription = this.#rpcSubscriptions.get(subscriptionId)
+    if (!subscription) {
+      return false
+    }
+
+    this.#rpcSubscriptions.delete(subscriptionId)
+    this.#rpcSubscriptionIds.delete(subscription.id)
+    if (this.state !== connectionStates.open) {
+      return true
+    }
+
+    return this.call(subscription.unsubscribeMethod, [subscription.id])
+  }
+
+  /**
+   * Refreshes the connection, see `ForeverWebSocket.refresh()`. Pending calls are rejected with a `RequestError` with code `'REFRESHED'`.
+   *
+   * @param {number} [code] - Optional status code indicating why the connection is being closed.
+   * @param {string} [reason] - Optional human-readable string explaining why the connection is closing.
+   */
+  refresh(code, reason) {
+    this.#requestManager.rejectAll((id) => new RequestError('Connection was refreshed before a response was received', 'REFRESHED', { requestId: id }))
+    super.refresh(code, reason)
+  }
+
+  #createRequest(method, params) {
+    return { jsonrpc: '2.0', id: ++this.#lastRequestId, method, ...(params === undefined ? {} : { params }) }
+  }
+
+  #createNotification(method, params) {
+    return { jsonrpc: '2.0', method, ...(params === undefined ? {} : { params }) }
+  }
+
+  /*
+    Send a request or a batch, rejecting its pending calls if it cannot be sent
+   */
+  #sendRequest(message, requestIds) {
+    this.send(message).catch((error) => {
+      for (const id of requestIds) {
+        this.#requestManager.reject(id, new RequestError(`Failed to send request: ${error?.message}`, 'SEND_FAILED', { requestId: id, cause: error }))
+      }
+    })
+  }
+
+  #handleMessage(data) {
+    const message = parseJson(data)
+    for (const item of Array.isArray(message) ? message : [message]) {
+      if (isObject(item) && item.jsonrpc === '2.0') {
+        this.#handleItem(item)
+      }
+    }
+  }
+
+  #handleItem(item) {
+    // Notification (or request) from the server
+    if (item.method !== undefined) {
+      const subscriptionId = this.#rpcSubscriptionIds.get(item.params?.subscription)
+      const subscription = this.#rpcSubscriptions.get(subscriptionId)
+      if (subscription) {
+        this.emit('subscription', subscriptionId, item.params.result)
+        subscription.handler?.(item.params.result)
+      } else {
+        this.emit('notification', item.method, item.params)
+      }
+
+      return
+    }
+
+    const error = item.error && new JsonRpcError(item.error.message, item.error.code, { data: item.error.data, requestId: item.id })
+    if (item.id === undefined || item.id === null) {
+      // Error responses to requests which could not be parsed by the server have a null id
+      if (error) {
+        this.emit('error', error)
+      }
+
+      return
+    }
+
+    if (error) {
+      this.#requestManager.reject(item.id, error)
+    } else {
+      this.#registerSubscription(item.id, item.result)
+      this.#requestManager.resolve(item.id, item.result)
+    }
+  }
+
+  /*
+    If the response is for a subscribe request, map the subscription id it returned
+   */
+  #registerSubscription(requestId, subscriptionId) {
+    const pending = this.#pendingSubscribes.get(requestId)
+    if (!pending) {
+      return
+    }
+
+    this.#pendingSubscribes.delete(requestId)
+    const originalId = pending.originalId ?? subscriptionId
+    if (pending.originalId === undefined) {
+      this.#rpcSubscriptions.set(originalId, pending.subscription)
+    } else if (!this.#rpcSubscriptions.has(originalId)) {
+      // Unsubscribed while re-subscribing
+      return
+    }
+
+    this.#rpcSubscriptions.get(originalId).id = subscriptionId
+    this.#rpcSubscriptionIds.set(subscriptionId, originalId)
+    if (pending.originalId !== undefined) {
+      this.emit('resubscribed', originalId, subscriptionId)
+    }
+  }
+
+  /*
+    Re-establish all server subscriptions on a newly opened connection
+   */
+  #resubscribe() {
+    for (const [originalId, subscription] of this.#rpcSubscriptions) {
+      const request = this.#createRequest(subscription.subscribeMethod, subscription.params)
+      this.#pendingSubscribes.set(request.id, { originalId, subscription })
+      this.#requestManager.add(request.id)
+        .catch((error) => this.emit('error', error))
+        .finally(() => this.#pendingSubscribes.delete(request.id))
+      this.#sendRequest(request, [request.id])
+    }
+  }
+
+  /*
+    The connection was replaced by `rotate()`, and event `ready` follows in the same tick, which re-establishes the subscriptions on the new connection.
+    Messages of the replaced connection are no longer received, so the calls sent on it cannot be answered
+   */
+  #handleRotated() {
+    this.#requestManager.rejectAll((id) => new RequestError('Connection was rotated before a response was received', 'ROTATED', { requestId: id }))
+    this.#rpcSubscriptionIds.clear()
+  }
+
+  #handleClose() {
+    this.#requestManager.rejectAll((id) => new RequestError('Connection closed before a response was received', 'CONNECTION_CLOSED', { requestId: id }))
+    // Subscription ids are only valid for the connection which returned them
+    this.#rpcSubscriptionIds.clear()
+  }
+}
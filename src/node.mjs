@@ -0,0 +1,164 @@
+import { Duplex } from 'node:stream'
+import WebSocket from 'isomorphic-ws'
+import { connectionStates } from './index.mjs'
+import { StreamError } from './errors.mjs'
+
+export { StreamError } from './errors.mjs'
+
+/**
+ * Creates a Node.js `Duplex` stream over a `ForeverWebSocket`. Unlike `createWebSocketStream()` of `ws`, the stream spans reconnects:
+ * - incoming messages are read from `ws.messages()`, and the readable side ends when the connection is closed by `close()` or `terminate()`,
+ *   or when reconnecting gives up
+ * - each chunk written is sent as a message once the connection is ready; writes wait while it is not, and while the `bufferedAmount`
+ *   of the WebSocket exceeds `writableHighWaterMark`
+ *
+ * Ending the writable side closes the connection, destroying the stream terminates it.
+ *
+ * @param {ForeverWebSocket} ws - The connection.
+ * @param {object} [options] - Options of the `Duplex` stream, and the options below.
+ * @param {number} [options.maxLength] - The maximum number of incoming messages buffered, see `ws.messages()`.
+ * @param {'dropOldest'|'dropNewest'|'throw'} [options.overflow] - What happens when `maxLength` would be exceeded, see `ws.messages()`. With `'throw'`, the stream is destroyed.
+ * @param {number} [options.drainInterval=10] - The interval in milliseconds at which `bufferedAmount` is checked while it exceeds `writableHighWaterMark`.
+ * @returns {Duplex}
+ *
+ * @example
+ * import { pipeline } from 'node:stream/promises';
+ * import { ForeverWebSocket } from 'forever-websocket';
+ * import { createForeverWebSocketStream } from 'forever-websocket/node';
+ *
+ * const ws = new ForeverWebSocket('wss://example.com');
+ * await pipeline(createForeverWebSocketStream(ws), process.stdout);
+ */
+export function createForeverWebSocketStream(ws, { maxLength, overflow, drainInterval = 10, ...options } = {}) {
+  const messages = ws.messages({ maxLength, overflow })
+  let isReading = false
+  // the chunk being written, while it waits for the connection to be ready or for `bufferedAmount` to drop
+  let pendingWrite
+  let drainTimer
+
+  const isEnded = () => ws.state === connectionStates.closed || ws.state === connectionStates.gaveUp
+  // the state is still `open` while the server is closing the connection
+  const isReady = () => ws.state === connectionStates.open && ws.readyState === WebSocket.OPEN
+
+  const duplex = new Duplex({
+    allowHalfOpen: false,
+    ...options,
+    read() {
+      readMessages()
+    },
+    write(chunk, encoding, callback) {
+      pendingWrite = { chunk, callback, isSending: false, isSent: false }
+      writePending()
+    },
+    final(callback) {
+      if (!isEnded()) {
+        ws.close()
+      }
+
+      callback()
+    },
+    destroy(error, callback) {
+      clearTimeout(drainTimer)
+      ws.off('stateChange', onStateChange)
+      messages.return()
+      if (pendingWrite) {
+        pendingWrite.callback(error ?? new StreamError('The stream was destroyed before the data could be sent', 'DESTROYED'))
+        pendingWrite = undefined
+      }
+
+      if (!isEnded()) {
+        ws.terminate()
+      }
+
+      callback(error)
+    },
+  })
+
+  /*
+    Push incoming messages until the readable buffer is full, or until the connection ends
+   */
+  function readMessages() {
+    if (isReading) {
+      return
+    }
+
+    isReading = true
+    messages.next().then(({ value, done }) => {
+      isReading = false
+      if (done) {
+        duplex.push(null)
+      } else if (duplex.push(value)) {
+        readMessages()
+      }
+    }, (error) => {
+      isReading = false
+      duplex.destroy(error)
+    })
+  }
+
+  /*
+    Send the pending chunk when the connection is ready, and complete the write once `bufferedAmount` is below the high water mark
+   */
+  function writePending() {
+    clearTimeout(drainTimer)
+    if (!pendingWrite) {
+      return
+    }
+
+    const { chunk, callback, isSending, isSent } = pendingWrite
+    if (isSending) {
+      // Resumed once `ws.send()` settles
+      return
+    }
+
+    if (!isSent && isEnded()) {
+      pendingWrite = undefined
+      callback(new StreamError('The connection was closed before the data could be sent', 'CONNECTION_CLOSED'))
+      return
+    }
+
+    if (!isSent) {
+      if (!isReady()) {
+        // Resumed by `onStateChange()`
+        return
+      }
+
+      const write = pendingWrite
+      write.isSending = true
+      ws.send(chunk).then(() => {
+        write.isSending = false
+        write.isSent = true
+        if (pendingWrite === write) {
+          writePending()
+        }
+      }, (error) => {
+        // The write was already completed if the stream was destroyed meanwhile
+        if (pendingWrite === write) {
+          pendingWrite = undefined
+          callback(error)
+        }
+      })
+      return
+    }
+
+    if (isReady() && ws.bufferedAmount > duplex.writableHighWaterMark) {
+      drainTimer = setTimeout(writePending, drainInterval)
+      return
+    }
+
+    pendingWrite = undefined
+    callback()
+  }
+
+  /*
+    Resume the pending write when the connection is ready, or fail it when the connection ends
+   */
+  function onStateChange(newState) {
+    if (newState === connectionStates.open || newState === connectionStates.closed || newState === connectionStates.gaveUp) {
+      writePending()
+    }
+  }
+
+  ws.on('stateChange', onStateChange)
+  return duplex
+}
@@ -0,0 +1,277 @@
+import EventEmitter from 'eventemitter3'
+import { ForeverWebSocket, connectionStates } from './index.mjs'
+import { isObject } from './utils/isObject.mjs'
+import { createDedupeFactory } from './factories/dedupeFactory.mjs'
+
+// Leg states from the most to the least available; the state of the redundant connection is the most available state of its legs
+const statesByAvailability = [
+  connectionStates.open,
+  connectionStates.handshaking,
+  connectionStates.connecting,
+  connectionStates.waiting,
+  connectionStates.closing,
+  connectionStates.gaveUp,
+  connectionStates.closed,
+  connectionStates.idle,
+]
+
+/**
+ * This class represents a redundant ("hot-hot") connection to a feed: it manages several `ForeverWebSocket` connections ("legs"),
+ * possibly to different endpoints, which receive the same messages. Each message is emitted once, by whichever leg delivers it first,
+ * so that the feed survives the stall or loss of a leg.
+ *
+ * Messages are de-duplicated by sequence number (`options.redundant.sequence`), by key (`options.redundant.dedupeKey`) or by content.
+ */
+export class RedundantForeverWebSocket extends EventEmitter {
+  #optionsRedundant
+  #legs
+  #legStats
+  #dedupeManager
+  #state = connectionStates.idle
+
+  /**
+   * Constructs a new redundant connection.
+   *
+   * @param {Array<string|string[]|function>} addresses - The address of each leg. See parameter `address` of `ForeverWebSocket`.
+   *   The same address can be listed several times, to open several connections to it.
+   * @param {string|string[]} [protocol] - Optional. One or more subprotocols as a string or array of strings.
+   * @param {object} [options] - An optional object containing configuration options. All `ForeverWebSocket` options are supported and apply to each leg.
+   *
+   * @param {object} [options.redundant] - Configuration for de-duplication.
+   * @param {function} [options.redundant.sequence] - A function `(data) => number` returning the sequence number of a message, which must increase along the feed.
+   *   Messages with a sequence number not greater than the last delivered one are dropped. When it returns `undefined`, `dedupeKey` is used.
+   * @param {function} [options.redundant.dedupeKey] - A function `(data) => key` returning the key identifying a message. When it returns `undefined`,
+   *   or is omitted, the message is identified by its content.
+   * @param {number} [options.redundant.windowSize=10000] - The maximum number of keys remembered for de-duplication.
+   * @param {boolean} [options.redundant.resetOnReconnect=false] - Whether the de-duplication state is reset each time a leg is ready, e.g. when the server
+   *   numbers the messages of each connection from the start.
+   *
+   * A message which cannot be identified, because `sequence` or `dedupeKey` throws or because binary data is a `Blob` (set `binaryType` to `'arraybuffer'`),
+   * is not emitted; the error is emitted as event `error`.
+   *
+   * @example
+   * const ws = new RedundantForeverWebSocket(['wss://a.example.com', 'wss://b.example.com'], {
+   *   ping: { interval: 5000, pingFrame: true },
+   *   redundant: { sequence: (data) => JSON.parse(data).seq },
+   * });
+   *
+   * ws.subscribe('trades', { op: 'subscribe', channel: 'trades' });
+   * ws.on('message', (data, legIndex) => console.log(`Received from leg ${legIndex}`, data));
+   */
+  constructor(addresses, protocol, options) {
+    super()
+    const isProtocolOmitted = isObject(protocol)
+    const { redundant, ...optionsForeverWebSocket } = (isProtocolOmitted ? protocol : options) ?? {}
+    this.#optionsRedundant = {
+      windowSize: 10000,
+      resetOnReconnect: false,
+      ...redundant,
+    }
+    this.#dedupeManager = createDedupeFactory({ windowSize: this.#optionsRedundant.windowSize })
+    this.#legStats = addresses.map(() => ({ messages: 0, delivered: 0, duplicates: 0, lastMessageMts: undefined }))
+    this.#legs = addresses.map((address, legIndex) => {
+      const leg = isProtocolOmitted
+        ? new ForeverWebSocket(address, { ...optionsForeverWebSocket })
+        : new ForeverWebSocket(address, protocol, { ...optionsForeverWebSocket })
+      leg.addEventListener('message', (event) => this.#handleMessage(legIndex, event.data))
+      leg.on('stateChange', (newState, oldState, reason) => {
+        this.emit('legStateChange', legIndex, newState, oldState, reason)
+        this.#updateState(legIndex)
+      })
+      leg.on('ready', () => {
+        if (this.#optionsRedundant.resetOnReconnect) {
+          this.#dedupeManager.reset()
+        }
+      })
+      leg.on('error', (error) => this.emit('error', error, legIndex))
+      return leg
+    })
+    // Legs may have started connecting before their listeners were added
+    this.#state = this.#getLegsState()
+  }
+
+  /**
+   * Returns the state of the redundant connection: the most available state of its legs, e.g. `'open'` as long as one leg is ready.
+   *
+   * @returns {string}
+   */
+  get state() {
+    return this.#state
+  }
+
+  /**
+   * Returns the health of each leg, in the order of `addresses`.
+   *
+   * @returns {Array<{endpoint: string|undefined, state: string, latency: Object, messages: number, delivered: number, duplicates: number, lastMessageMts: number|undefined}>}
+   *   `messages` is the number of messages received by the leg, `delivered` the number of them it delivered first, and `duplicates` the number of them
+   *   already delivered by another leg.
+   */
+  get legs() {
+    return this.#legs.map((leg, legIndex) => ({
+      endpoint: leg.endpoint,
+      state: leg.state,
+      latency: leg.latency,
+      ...this.#legStats[legIndex],
+    }))
+  }
+
+  /**
+   * Opens the legs which are not open, see `ForeverWebSocket.connect()`.
+   *
+   * @returns {Promise<void>} A promise which resolves once a leg is ready.
+   * @throws {AggregateError} The promise rejects if no leg can be connected, with the error of each leg in `errors`.
+   */
+  async connect() {
+    await Promise.any(this.#legs.map((leg) => leg.connect()))
+  }
+
+  /**
+   * Sends data over each leg. See `ForeverWebSocket.send()`.
+   *
+   * @param {string|Object} data - The data to send. Objects are automatically stringified.
+   * @returns {Promise<void>} A promise which resolves once a leg has sent (or buffered) the data.
+   * @throws {Error} The promise rejects with the error of the first leg if no leg could send (or buffer) the data.
+   */
+  async send(data) {
+    try {
+      await Promise.any(this.#legs.map((leg) => leg.send(data)))
+    } catch (error) {
+      throw error.errors[0]
+    }
+  }
+
+  /**
+   * Registers a subscription on each leg. See `ForeverWebSocket.subscribe()`.
+   *
+   * @param {*} key - Identifies the subscription.
+   * @param {string|Object} message - The message which subscribes.
+   * @param {object} [options]
+   * @param {string|Object} [options.unsubscribe] - The message sent by `unsubscribe(key)`.
+   * @returns {RedundantForeverWebSocket} This instance, for chaining.
+   */
+  subscribe(key, message, { unsubscribe } = {}) {
+    for (const leg of this.#legs) {
+      leg.subscribe(key, message, { unsubscribe })
+    }
+
+    return this
+  }
+
+  /**
+   * Removes a subscription from each leg. See `ForeverWebSocket.unsubscribe()`.
+   *
+   * @param {*} key - The key the subscription was registered with.
+   * @returns {boolean} True if the subscription existed, false otherwise.
+   */
+  unsubscribe(key) {
+    return this.#legs.map((leg) => leg.unsubscribe(key)).some((existed) => existed)
+  }
+
+  /**
+   * Closes each leg and stops reconnecting. See `ForeverWebSocket.close()`.
+   *
+   * @param {number} [code] - An optional numeric value indicating the status code explaining why the connection is being closed.
+   * @param {string} [reason] - An optional string providing a human-readable explanation of why the connection is closing.
+   */
+  close(code, reason) {
+    for (const leg of this.#legs) {
+      leg.close(code, reason)
+    }
+  }
+
+  /**
+   * Terminates each leg and stops reconnecting. See `ForeverWebSocket.terminate()`.
+   */
+  terminate() {
+    for (const leg of this.#legs) {
+      leg.terminate()
+    }
+  }
+
+  /**
+   * Selectively updates configuration options of each leg, see `ForeverWebSocket.updateOptions()`, and of de-duplication.
+   *
+   * @param {object} [options]
+   * @param {object} [options.redundant] - Configuration for de-duplication.
+   */
+  updateOptions(options) {
+    const { redundant, ...optionsForeverWebSocket } = options
+    if (redundant) {
+      this.#optionsRedundant = { ...this.#optionsRedundant, ...redundant }
+      this.#dedupeManager.update({ windowSize: redundant.windowSize })
+    }
+
+    for (const leg of this.#legs) {
+      leg.updateOptions(optionsForeverWebSocket)
+    }
+  }
+
+  /*
+    Emit a message received by a leg, unless another leg has delivered it already
+   */
+  #handleMessage(legIndex, data) {
+    const stats = this.#legStats[legIndex]
+    stats.messages += 1
+    stats.lastMessageMts = Date.now()
+
+    const { sequence, dedupeKey } = this.#optionsRedundant
+    let sequenceNumber
+    let key
+    try {
+      sequenceNumber = sequence?.(data)
+      key = sequenceNumber === undefined ? dedupeKey?.(data) ?? this.#getContentKey(data) : undefined
+    } catch (error) {
+      // A message which cannot be identified cannot be de-duplicated either
+      this.emit('error', error, legIndex)
+      return
+    }
+
+    if (!this.#dedupeManager.accept(legIndex, { key, sequence: sequenceNumber })) {
+      stats.duplicates += 1
+      return
+    }
+
+    stats.delivered += 1
+    this.emit('message', data, legIndex)
+  }
+
+  /*
+    Identify a message by its content, decoding binary data as UTF-8
+   */
+  #getContentKey(data) {
+    if (typeof data === 'string') {
+      return data
+    }
+
+    if (typeof Blob === 'function' && data instanceof Blob) {
+      throw new TypeError(`Blob data cannot be identified synchronously, set 'binaryType' to 'arraybuffer'`)
+    }
+
+    return new TextDecoder().decode(data)
+  }
+
+  /*
+    Returns the most available state of the legs
+   */
+  #getLegsState() {
+    const legStates = this.#legs.map((leg) => leg.state)
+    return statesByAvailability.find((state) => legStates.includes(state)) ?? connectionStates.idle
+  }
+
+  /*
+    Set the state to the most available state of the legs, and emit `stateChange`, and `ready` when the first leg is ready
+   */
+  #updateState(legIndex) {
+    const newState = this.#getLegsState()
+    const oldState = this.#state
+    if (newState === oldState) {
+      return
+    }
+
+    this.#state = newState
+    this.emit('stateChange', newState, oldState, legIndex)
+    if (newState === connectionStates.open) {
+      this.emit('ready')
+    }
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Returns the size in bytes of data that can be sent over a WebSocket.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} data - The data to measure.
+ * @returns {number} - The size in bytes, or `0` if the size cannot be determined.
+ *
+ * @example
+ *
+ * console.log(byteLength('abc')); // 3
+ * console.log(byteLength('€')); // 3
+ * console.log(byteLength(new Uint8Array(4))); // 4
+ */
+export function byteLength(data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data).length
+  }
+
+  if (typeof data?.byteLength === 'number') {
+    return data.byteLength
+  }
+
+  if (typeof data?.size === 'number') {
+    return data.size
+  }
+
+  return 0
+}
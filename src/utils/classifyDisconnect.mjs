@@ -0,0 +1,40 @@
+/**
+ * Classifies why a connection was lost, or could not be opened, to decide whether and how to reconnect:
+ * - `'retry'` - Reconnect as usual.
+ * - `'backoff'` - The server is failing or overloaded: reconnect after a longer delay.
+ * - `'fatal'` - Reconnecting would fail the same way, e.g. because credentials are invalid: do not reconnect.
+ *
+ * Close codes `1008` (policy violation) and `4000`-`4999` (application-defined, e.g. authentication failures) are fatal,
+ * `1011` (internal error), `1012` (service restart), `1013` (try again later) and `1014` (bad gateway) require backoff.
+ * HTTP statuses `429` and `5xx` require backoff, other `4xx` statuses except `408` are fatal.
+ *
+ * @param {{code?: number, statusCode?: number}} cause - A close event, or an error whose `statusCode` is the HTTP status of a rejected opening handshake.
+ * @returns {'retry'|'backoff'|'fatal'} - The classification.
+ *
+ * @example
+ *
+ * console.log(classifyDisconnect({ code: 1001 })); // 'retry'
+ * console.log(classifyDisconnect({ code: 4001 })); // 'fatal'
+ * console.log(classifyDisconnect({ statusCode: 503 })); // 'backoff'
+ */
+export function classifyDisconnect(cause) {
+  const statusCode = cause?.statusCode
+  if (typeof statusCode === 'number') {
+    if (statusCode === 429 || statusCode >= 500) {
+      return 'backoff'
+    }
+
+    return statusCode >= 400 && statusCode !== 408 ? 'fatal' : 'retry'
+  }
+
+  const code = cause?.code
+  if (code === 1008 || (code >= 4000 && code <= 4999)) {
+    return 'fatal'
+  }
+
+  if (code >= 1011 && code <= 1014) {
+    return 'backoff'
+  }
+
+  return 'retry'
+}
@@ -0,0 +1,53 @@
+/**
+ * Creates the object passed to listeners of event `frame`: an incoming message with the same shape in node.js and web browsers.
+ * Methods `text()`, `json()` and `arrayBuffer()` return promises, as binary data received by web browsers may be a `Blob`.
+ *
+ * @param {object} message - The incoming message.
+ * @param {string|Buffer|Buffer[]|ArrayBuffer|ArrayBufferView|Blob} message.data - The message data, as received by the WebSocket.
+ * @param {boolean} message.isBinary - Whether the message is binary.
+ * @param {number} message.receivedAt - Millisecond timestamp when the message was received.
+ * @param {object} [message.meta={}] - Annotations added by middleware.
+ * @returns {{data: *, isBinary: boolean, receivedAt: number, meta: object, text: function, json: function, arrayBuffer: function}} - The frame.
+ *
+ * @example
+ *
+ * const frame = createFrame({ data: '{"price":1}', isBinary: false, receivedAt: Date.now() });
+ * console.log((await frame.json()).price); // 1
+ */
+export function createFrame({ data, isBinary, receivedAt, meta = {} }) {
+  const toBytes = async () => {
+    if (typeof data === 'string') {
+      return new TextEncoder().encode(data)
+    }
+
+    if (typeof Blob === 'function' && data instanceof Blob) {
+      return new Uint8Array(await data.arrayBuffer())
+    }
+
+    if (Array.isArray(data)) {
+      const bytes = new Uint8Array(data.reduce((size, fragment) => size + fragment.byteLength, 0))
+      data.reduce((offset, fragment) => {
+        bytes.set(fragment, offset)
+        return offset + fragment.byteLength
+      }, 0)
+      return bytes
+    }
+
+    return ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data)
+  }
+
+  const text = async () => typeof data === 'string' ? data : new TextDecoder().decode(await toBytes())
+
+  return Object.freeze({
+    data,
+    isBinary,
+    receivedAt,
+    meta,
+    text,
+    json: async () => JSON.parse(await text()),
+    arrayBuffer: async () => {
+      const bytes = await toBytes()
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+    },
+  })
+}
@@ -0,0 +1,18 @@
+/**
+ * Creates the event passed to listeners of event `message` added with `addEventListener()`.
+ * A `MessageEvent` is created where the class is available (browsers, Node.js 15+), otherwise a plain object with the same `type` and `data`.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} data - The message data.
+ * @returns {MessageEvent|{type: string, data: *}} - The event.
+ *
+ * @example
+ *
+ * console.log(createMessageEvent('hello').data); // 'hello'
+ */
+export function createMessageEvent(data) {
+  if (typeof MessageEvent === 'function') {
+    return new MessageEvent('message', { data })
+  }
+
+  return { type: 'message', data }
+}
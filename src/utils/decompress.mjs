@@ -0,0 +1,40 @@
+import zlib from 'node:zlib'
+import { promisify } from 'node:util'
+import { detectCompression } from './detectCompression.mjs'
+import { DecompressError } from '../errors.mjs'
+
+const inflateMethods = {
+  'gzip': promisify(zlib.gunzip),
+  'deflate': promisify(zlib.inflate),
+  'deflate-raw': promisify(zlib.inflateRaw),
+}
+
+/**
+ * Decompresses binary data with zlib. This is the node.js implementation; web browsers use `DecompressionStream` (see `browser.js`).
+ *
+ * @param {Buffer|Buffer[]|ArrayBuffer|ArrayBufferView} data - The compressed data, e.g. a message received with any `binaryType`.
+ * @param {object} [options]
+ * @param {'gzip'|'deflate'|'deflate-raw'} [options.format] - The compression format. If omitted, it is detected from the data.
+ * @param {number} [options.maxSize=Infinity] - The maximum size in bytes of the decompressed data.
+ * @returns {Promise<Buffer>} - The decompressed data.
+ * @throws {DecompressError} The promise rejects with code `'TOO_LARGE'` if the decompressed data exceeds `maxSize`, or `'FAILED'`.
+ *
+ * @example
+ *
+ * const text = (await decompress(data, { format: 'gzip', maxSize: 1024 * 1024 })).toString();
+ */
+export async function decompress(data, { format, maxSize = Infinity } = {}) {
+  const buffer = Array.isArray(data)
+    ? Buffer.concat(data)
+    : ArrayBuffer.isView(data) ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : Buffer.from(data)
+  const inflate = inflateMethods[format ?? detectCompression(buffer)]
+  try {
+    return await inflate(buffer, Number.isFinite(maxSize) ? { maxOutputLength: Math.max(1, maxSize) } : {})
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new DecompressError(`Decompressed message exceeds ${maxSize} bytes`, 'TOO_LARGE', { cause: error })
+    }
+
+    throw new DecompressError(`Message could not be decompressed: ${error.message}`, 'FAILED', { cause: error })
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Detects the compression format of compressed data from its first bytes.
+ *
+ * @param {Uint8Array} bytes - The compressed data.
+ * @returns {'gzip'|'deflate'|'deflate-raw'} - `'gzip'` for the gzip magic number, `'deflate'` for a valid zlib header, `'deflate-raw'` otherwise.
+ *
+ * @example
+ *
+ * console.log(detectCompression(new Uint8Array([0x1f, 0x8b, 0x08]))); // 'gzip'
+ * console.log(detectCompression(new Uint8Array([0x78, 0x9c]))); // 'deflate'
+ */
+export function detectCompression(bytes) {
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return 'gzip'
+  }
+
+  // zlib header: compression method 8, and a checksum making the first two bytes a multiple of 31
+  if (bytes.length >= 2 && (bytes[0] & 0x0f) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) {
+    return 'deflate'
+  }
+
+  return 'deflate-raw'
+}
@@ -0,0 +1,15 @@
+/**
+ * Checks if data is binary data that can be sent over a WebSocket as is: an `ArrayBuffer`, a view of one (e.g. a `Buffer` or a typed array) or a `Blob`.
+ *
+ * @param {*} data - The data to check.
+ * @returns {boolean} - True if the data is binary, false otherwise.
+ *
+ * @example
+ *
+ * console.log(isBinary(new Uint8Array(4))); // true
+ * console.log(isBinary(Buffer.from('abc'))); // true
+ * console.log(isBinary({ op: 'ping' })); // false
+ */
+export function isBinary(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data) || (typeof Blob === 'function' && data instanceof Blob)
+}
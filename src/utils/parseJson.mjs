@@ -0,0 +1,19 @@
+/**
+ * Parses WebSocket message data as JSON, without throwing.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView} data - The message data. Binary data is decoded as UTF-8.
+ * @returns {*} - The parsed value, or `undefined` if the data is not valid JSON.
+ *
+ * @example
+ *
+ * console.log(parseJson('{"id":1}')); // { id: 1 }
+ * console.log(parseJson('not json')); // undefined
+ */
+export function parseJson(data) {
+  try {
+    const text = typeof data === 'string' ? data : new TextDecoder().decode(data)
+    return JSON.parse(text)
+  } catch (error) {
+    return undefined
+  }
+}
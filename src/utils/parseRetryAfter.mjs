@@ -0,0 +1,26 @@
+/**
+ * Returns the delay requested by an HTTP `Retry-After` header, which is either a number of seconds or an HTTP date.
+ *
+ * @param {string|string[]} [value] - The value of the header.
+ * @param {number} [now=Date.now()] - The current time in milliseconds, used when the value is a date.
+ * @returns {number|undefined} - The delay in milliseconds, or `undefined` if the value is missing or invalid.
+ *
+ * @example
+ *
+ * console.log(parseRetryAfter('30')); // 30000
+ * console.log(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT')); // 0, the date is in the past
+ * console.log(parseRetryAfter('soon')); // undefined
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  const text = String(Array.isArray(value) ? value[0] : value ?? '').trim()
+  if (text === '') {
+    return undefined
+  }
+
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000
+  }
+
+  const mts = Date.parse(text)
+  return Number.isNaN(mts) ? undefined : Math.max(mts - now, 0)
+}
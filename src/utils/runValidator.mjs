@@ -0,0 +1,50 @@
+/*
+  Convert the result of a validator to `{ valid, errors }`
+ */
+function toValidation(result, validator) {
+  if (result === false) {
+    // e.g. Ajv, which reports the errors of the last validation in property `errors` of the validate function
+    return { valid: false, errors: validator.errors ?? [] }
+  }
+
+  if (typeof result?.valid === 'boolean') {
+    return { valid: result.valid, errors: result.valid ? [] : result.errors ?? [] }
+  }
+
+  if (Array.isArray(result?.issues)) {
+    return { valid: false, errors: result.issues }
+  }
+
+  return { valid: true, errors: [] }
+}
+
+/**
+ * Validates a message with a validator, which is either:
+ * - a function `(message) => result`, where `result` is `false` (errors are then read from property `errors` of the function, as Ajv sets them),
+ *   an object `{ valid, errors }`, or an object with `issues` (Standard Schema result). Any other result means valid; a function which throws
+ *   means invalid, with the error thrown.
+ * - a Standard Schema (https://standardschema.dev), i.e. an object with property `~standard`.
+ *
+ * @param {function|object} validator - The validator.
+ * @param {*} message - The message to validate.
+ * @returns {{valid: boolean, errors: Array}|Promise<{valid: boolean, errors: Array}>} - The validation, or a promise of it if the validator is async.
+ *
+ * @example
+ *
+ * console.log(runValidator((message) => typeof message.type === 'string', { type: 'trade' })); // { valid: true, errors: [] }
+ * console.log(runValidator((message) => ({ valid: false, errors: ['no type'] }), {})); // { valid: false, errors: ['no type'] }
+ */
+export function runValidator(validator, message) {
+  let result
+  try {
+    result = typeof validator?.['~standard']?.validate === 'function' ? validator['~standard'].validate(message) : validator(message)
+  } catch (error) {
+    return { valid: false, errors: [error] }
+  }
+
+  if (typeof result?.then === 'function') {
+    return result.then((asyncResult) => toValidation(asyncResult, validator), (error) => ({ valid: false, errors: [error] }))
+  }
+
+  return toValidation(result, validator)
+}